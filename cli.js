@@ -0,0 +1,558 @@
+#!/usr/bin/env node
+import { realpathSync } from "fs";
+import { readFile } from "fs/promises";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { createFinder } from "./index.js";
+import { startServer } from "./server.js";
+
+/**
+ * The `vague-finder` command. It builds an index from text, JSONL or CSV files, searches it, and compares two sentences,
+ * printing the results as a table or as JSON. It can also serve the model over HTTP (see `server.js`).
+ */
+
+const USAGE = `Usage:
+  vague-finder index [files...] --out <index> [--format text|jsonl|csv] [--field <name>]
+  vague-finder query <index> <query> [--top <n>] [--min-score <score>]
+  vague-finder compare <sentence> <sentence>
+  vague-finder serve [--port <port>] [--host <host>] [--index <index>]
+
+Reads from stdin when no file is given to index.
+
+Options:
+  --out <path>          Where to write the index (index)
+  --format <format>     The format of the input: text (one item per line), jsonl or csv.
+                        Guessed from the file extension, text for stdin (index)
+  --field <name>        The field holding the text: a dot path for jsonl (default "text"),
+                        a column name for csv (default the first column) (index)
+  --top <n>             Only show the n most similar items (query, default 10)
+  --min-score <score>   Only show items at least this similar (query)
+  --output <output>     Print a table or json (default table)
+  --port <port>         The port to listen on (serve, default 8080)
+  --host <host>         The address to listen on (serve, default 127.0.0.1)
+  --index <path>        An index to load as the first documents (serve)
+  --model <model>       The embedding model, a Hub id or a local path
+  --profile <profile>   The encoding profile of the model (gte, e5, bge, mxbai, nomic, minilm),
+                        chosen by the model id by default
+  --offline             Never contact the Hub
+  -h, --help            Show this help`;
+
+/**
+ * The options of every command, in the format of `parseArgs`.
+ *
+ * @constant
+ * @type {Object}
+ */
+const OPTIONS = {
+  out: { type: "string" },
+  format: { type: "string" },
+  field: { type: "string" },
+  top: { type: "string", default: "10" },
+  "min-score": { type: "string" },
+  output: { type: "string", default: "table" },
+  port: { type: "string", default: "8080" },
+  host: { type: "string", default: "127.0.0.1" },
+  index: { type: "string" },
+  model: { type: "string" },
+  profile: { type: "string" },
+  offline: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Reads a file, or stdin if the path is `-`.
+ *
+ * @async
+ * @function
+ * @param {string} path - The file to read.
+ * @returns {Promise<string>} The contents of the file.
+ */
+
+async function readText(path) {
+  if (path !== "-") {
+    return readFile(path, "utf8");
+  }
+  let text = "";
+  process.stdin.setEncoding("utf8");
+  for await (const chunk of process.stdin) {
+    text += chunk;
+  }
+  return text;
+}
+
+/**
+ * Splits CSV text into records, following RFC 4180: fields may be quoted, and quoted fields may hold commas,
+ * line breaks and doubled quotes.
+ *
+ * @function
+ * @param {string} text - The CSV text.
+ * @returns {Array<{fields: Array<string>, line: number}>} The records, with the line each of them starts on. Empty lines are skipped.
+ */
+
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== "") {
+      records.push({ fields, line: start });
+    }
+    fields = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      endRecord();
+      line++;
+      start = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || fields.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Reads a field of a record by a dot path, e.g. `author.name`.
+ *
+ * @function
+ * @param {Object} record - The record.
+ * @param {string} path - The dot path of the field.
+ * @returns {*} The value, `undefined` if the path does not exist.
+ */
+
+function getField(record, path) {
+  return path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== null && typeof value === "object" ? value[key] : undefined,
+      record,
+    );
+}
+
+/**
+ * Turns the contents of an input file into the items of an index. Every item remembers the file and line it came from as its `metadata`.
+ *
+ * @function
+ * @param {string} text - The contents of the file.
+ * @param {Object} options - How to read the file.
+ * @param {string} options.source - The name of the file, `stdin` for stdin.
+ * @param {string} options.format - `text`, `jsonl` or `csv`.
+ * @param {string} [options.field] - The field holding the text of JSONL and CSV records.
+ * @throws {Error} If the format is unknown, a JSONL line is not valid JSON, or a record has no text in `field`.
+ * @returns {Array<{sentenceTwo: string, metadata: {source: string, line: number}}>} The items.
+ */
+
+function parseItems(text, { source, format, field }) {
+  const items = [];
+  const add = (sentence, line) => {
+    if (typeof sentence !== "string" || sentence.trim() === "") {
+      throw new Error(
+        `${source}:${line} has no text${format === "jsonl" ? ` in field "${field || "text"}"` : ""}`,
+      );
+    }
+    items.push({ sentenceTwo: sentence, metadata: { source, line } });
+  };
+
+  if (format === "text") {
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (line.trim() !== "") {
+        add(line, i + 1);
+      }
+    });
+  } else if (format === "jsonl") {
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (line.trim() === "") {
+        return;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(
+          `${source}:${i + 1} is not valid JSON (${error.message})`,
+        );
+      }
+      add(
+        typeof record === "string" ? record : getField(record, field || "text"),
+        i + 1,
+      );
+    });
+  } else if (format === "csv") {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+      return items;
+    }
+    const column = field === undefined ? 0 : header.fields.indexOf(field);
+    if (column === -1) {
+      throw new Error(`${source} has no column "${field}"`);
+    }
+    for (const { fields, line } of records) {
+      add(fields[column], line);
+    }
+  } else {
+    throw new Error(`Unsupported format "${format}", use text, jsonl or csv`);
+  }
+
+  return items;
+}
+
+/**
+ * Guesses the format of an input file from its extension.
+ *
+ * @function
+ * @param {string} path - The file, `-` for stdin.
+ * @returns {string} `jsonl` for `.jsonl` and `.ndjson` files, `csv` for `.csv` files, `text` otherwise.
+ */
+
+function detectFormat(path) {
+  if (/\.(jsonl|ndjson)$/i.test(path)) {
+    return "jsonl";
+  }
+  if (/\.csv$/i.test(path)) {
+    return "csv";
+  }
+  return "text";
+}
+
+/**
+ * Parses a numeric option.
+ *
+ * @function
+ * @param {string} name - The name of the option, for the error message.
+ * @param {string} value - The value given on the command line.
+ * @param {boolean} integer - Whether the value must be a positive integer.
+ * @throws {Error} If the value is not a number, or not a positive integer when `integer` is set.
+ * @returns {number} The value.
+ */
+
+function parseNumber(name, value, integer) {
+  const number = Number(value);
+  if (
+    value.trim() === "" ||
+    Number.isNaN(number) ||
+    (integer && (!Number.isInteger(number) || number <= 0))
+  ) {
+    throw new Error(
+      `--${name} must be ${integer ? "a positive integer" : "a number"}, got "${value}"`,
+    );
+  }
+  return number;
+}
+
+/**
+ * Formats rows as a table with aligned columns. Cells are flattened to one line, and the last column is cut
+ * to the width of the terminal when printing to one.
+ *
+ * @function
+ * @param {Array<string>} header - The column titles.
+ * @param {Array<Array<string>>} rows - The rows.
+ * @returns {string} The table.
+ */
+
+function formatTable(header, rows) {
+  const lines = [header, ...rows].map((row) =>
+    row.map((cell) => String(cell).replace(/\s+/g, " ").trim()),
+  );
+  const widths = header.map((_, column) =>
+    Math.max(...lines.map((row) => row[column].length)),
+  );
+  const columns = process.stdout.isTTY ? process.stdout.columns : Infinity;
+
+  return lines
+    .map((row) => {
+      const line = row
+        .map((cell, column) =>
+          column === row.length - 1 ? cell : cell.padEnd(widths[column]),
+        )
+        .join("  ");
+      return line.length > columns ? `${line.slice(0, columns - 1)}…` : line;
+    })
+    .join("\n");
+}
+
+/**
+ * Writes a status line to stderr, replacing the previous one, if stderr is a terminal.
+ *
+ * @function
+ * @param {string} message - The status, or an empty string to clear it.
+ */
+
+function status(message) {
+  if (process.stderr.isTTY) {
+    process.stderr.write(`\r\x1b[K${message}`);
+  }
+}
+
+/**
+ * Picks the `loadModel()` options out of the parsed options.
+ *
+ * @function
+ * @param {Object} values - The parsed options.
+ * @returns {Object} The options of `loadModel()`.
+ */
+
+function modelOptions(values) {
+  return {
+    ...(values.model ? { model: values.model } : {}),
+    ...(values.profile ? { profile: values.profile } : {}),
+    offline: values.offline,
+  };
+}
+
+/**
+ * Asynchronously loads the model of a command, showing its progress on stderr.
+ *
+ * @async
+ * @function
+ * @param {Object} values - The parsed options.
+ * @returns {Promise<Object>} The finder, with the model loaded.
+ */
+
+async function loadFinder(values) {
+  const finder = createFinder();
+  const unsubscribe = finder.on("progress", ({ progress }) =>
+    status(`Loading model ${Math.round(progress)}%`),
+  );
+  try {
+    await finder.loadModel(modelOptions(values));
+  } finally {
+    unsubscribe();
+    status("");
+  }
+  return finder;
+}
+
+/**
+ * Builds an index from files, or from stdin if no file is given, and writes it with `saveIndex()`.
+ *
+ * @async
+ * @function
+ * @param {Array<string>} files - The input files.
+ * @param {Object} values - The parsed options.
+ * @throws {Error} If `--out` is missing, or an input cannot be read.
+ * @returns {Promise<string>} The summary to print.
+ */
+
+async function indexCommand(files, values) {
+  if (!values.out) {
+    throw new Error("index needs --out <path> to write the index to");
+  }
+  const items = [];
+  for (const path of files.length ? files : ["-"]) {
+    items.push(
+      ...parseItems(await readText(path), {
+        source: path === "-" ? "stdin" : path,
+        format: values.format || (path === "-" ? "text" : detectFormat(path)),
+        field: values.field,
+      }),
+    );
+  }
+
+  const finder = await loadFinder(values);
+  const cached = await finder.getCached(items, {
+    onBatch: ({ done, total }) => status(`Embedding ${done}/${total}`),
+  });
+  status("");
+  await finder.saveIndex(values.out, cached);
+
+  if (values.output === "json") {
+    return JSON.stringify({ index: values.out, items: cached.length });
+  }
+  return `Indexed ${cached.length} items into ${values.out}`;
+}
+
+/**
+ * Searches an index written by the `index` command.
+ *
+ * @async
+ * @function
+ * @param {Array<string>} args - The index and the query. Words after the index are joined into the query.
+ * @param {Object} values - The parsed options.
+ * @throws {Error} If the index or the query is missing, or an option is invalid.
+ * @returns {Promise<string>} The results to print.
+ */
+
+async function queryCommand([path, ...words], values) {
+  const query = words.join(" ");
+  if (!path || query === "") {
+    throw new Error("query needs an index and a query");
+  }
+  const topK = parseNumber("top", values.top, true);
+  const minScore =
+    values["min-score"] === undefined
+      ? undefined
+      : parseNumber("min-score", values["min-score"], false);
+
+  const finder = await loadFinder(values);
+  const index = await finder.loadIndex(path);
+  const { array } = await finder.getTop(query, index, topK, { minScore });
+
+  const results = array.map(({ sentenceTwo, alike, metadata }) => ({
+    text: sentenceTwo,
+    score: alike,
+    ...metadata,
+  }));
+  if (values.output === "json") {
+    return JSON.stringify({ query, results }, null, 2);
+  }
+  return formatTable(
+    ["SCORE", "SOURCE", "TEXT"],
+    results.map(({ text, score, source, line }) => [
+      score.toFixed(4),
+      source === undefined ? "" : `${source}:${line}`,
+      text,
+    ]),
+  );
+}
+
+/**
+ * Compares two sentences.
+ *
+ * @async
+ * @function
+ * @param {Array<string>} args - The two sentences.
+ * @param {Object} values - The parsed options.
+ * @throws {Error} If there are not exactly two sentences.
+ * @returns {Promise<string>} The similarity to print.
+ */
+
+async function compareCommand(args, values) {
+  if (args.length !== 2) {
+    throw new Error("compare needs exactly two sentences");
+  }
+  const finder = await loadFinder(values);
+  const result = await finder.compareTwoSentences(args[0], args[1]);
+
+  if (values.output === "json") {
+    return JSON.stringify(result, null, 2);
+  }
+  return formatTable(
+    ["SCORE", "SENTENCE ONE", "SENTENCE TWO"],
+    [[result.alike.toFixed(4), result.sentenceOne, result.sentenceTwo]],
+  );
+}
+
+/**
+ * Starts the HTTP server and waits until it is ready. The server keeps running after that.
+ *
+ * @async
+ * @function
+ * @param {Array<string>} args - Unused.
+ * @param {Object} values - The parsed options.
+ * @throws {Error} If the server cannot listen, or the model or index cannot be loaded.
+ * @returns {Promise<string>} The address of the server, to print.
+ */
+
+async function serveCommand(args, values) {
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`--port must be a port number, got "${values.port}"`);
+  }
+  const { url, finder, documents, ready, close } = await startServer({
+    port,
+    host: values.host,
+    index: values.index ?? null,
+    model: modelOptions(values),
+  });
+  console.error(`Listening on ${url}, loading the model`);
+
+  const unsubscribe = finder.on("progress", ({ progress }) =>
+    status(`Loading model ${Math.round(progress)}%`),
+  );
+  try {
+    await ready;
+  } catch (error) {
+    await close();
+    throw error;
+  } finally {
+    unsubscribe();
+    status("");
+  }
+
+  if (values.output === "json") {
+    return JSON.stringify({ url, documents: documents.size });
+  }
+  return `Ready on ${url} with ${documents.size} documents`;
+}
+
+/**
+ * Runs the command line.
+ *
+ * @async
+ * @function
+ * @param {Array<string>} argv - The arguments, without the node binary and the script.
+ * @throws {Error} If the command or its options are invalid, or the command fails.
+ */
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command, ...args] = positionals;
+  if (values.help || command === undefined || command === "help") {
+    console.log(USAGE);
+    return;
+  }
+  if (!["table", "json"].includes(values.output)) {
+    throw new Error(`Unsupported output "${values.output}", use table or json`);
+  }
+
+  const commands = {
+    index: indexCommand,
+    query: queryCommand,
+    compare: compareCommand,
+    serve: serveCommand,
+  };
+  if (!commands[command]) {
+    throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+  console.log(await commands[command](args, values));
+}
+
+// Only run as a command, not when the parsers are imported, e.g. by the tests
+if (
+  process.argv[1] &&
+  realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  main(process.argv.slice(2)).catch((error) => {
+    status("");
+    console.error(`vague-finder: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+export { parseCsv, parseItems };
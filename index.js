@@ -1,682 +1,5451 @@
 import { pipeline, env } from "@xenova/transformers";
 
 // Since we will download the model from the Hugging Face Hub, we can skip the local model check
+// (loadModel() turns it back on while a model from a local path, a localModelPath or in offline mode loads)
 env.allowLocalModels = false;
 
 // Due to a bug in onnxruntime-web, we must disable multithreading for now.
 // See https://github.com/microsoft/onnxruntime/issues/14445 for more information.
 // env.backends.onnx.wasm.numThreads = 1;
 
-class PipelineSingleton {
-  static task = "feature-extraction";
-  static model = "Supabase/gte-small";
-  static instance = null;
+/**
+ * The options used by `loadModel()` when none are passed.
+ *
+ * @constant
+ * @type {{model: string, revision: string, quantized: boolean, cacheDir: ?string, localModelPath: ?string, offline: boolean, cacheSize: number, worker: boolean, retries: number, retryDelay: number}}
+ */
+const DEFAULT_MODEL_OPTIONS = {
+  model: "Supabase/gte-small",
+  revision: "main",
+  quantized: true,
+  cacheDir: null,
+  localModelPath: null,
+  offline: false,
+  cacheSize: 0,
+  worker: false,
+  retries: 2,
+  retryDelay: 1000,
+};
+
+/**
+ * How texts are encoded when no encoding profile matches the model: without prefixes and mean pooled.
+ * Embeddings are always normalized, since every similarity is computed as a dot product.
+ *
+ * @constant
+ * @type {{queryPrefix: string, documentPrefix: string, pooling: string, maxLength: ?number}}
+ */
+const DEFAULT_ENCODING_PROFILE = {
+  queryPrefix: "",
+  documentPrefix: "",
+  pooling: "mean",
+  maxLength: null,
+};
+
+/**
+ * Built-in encoding profiles of common embedding models, by name. `loadModel()` picks the profile whose `match` accepts
+ * the model id, unless a `profile` is given. Asymmetric models are trained with different prefixes for queries and
+ * the documents they should find, and some of them are trained with the embedding of the first ([CLS]) token instead of the mean.
+ *
+ * @constant
+ * @type {Object<string, {match: RegExp, queryPrefix: string, documentPrefix: string, pooling: string, maxLength: ?number}>}
+ */
+const ENCODING_PROFILES = {
+  gte: {
+    match: /(^|\/)gte-(small|base|large)$/i,
+    queryPrefix: "",
+    documentPrefix: "",
+    pooling: "mean",
+    maxLength: 512,
+  },
+  e5: {
+    match: /(^|\/)(multilingual-)?e5-/i,
+    queryPrefix: "query: ",
+    documentPrefix: "passage: ",
+    pooling: "mean",
+    maxLength: 512,
+  },
+  bge: {
+    match: /(^|\/)bge-(small|base|large)-en/i,
+    queryPrefix: "Represent this sentence for searching relevant passages: ",
+    documentPrefix: "",
+    pooling: "cls",
+    maxLength: 512,
+  },
+  mxbai: {
+    match: /(^|\/)mxbai-embed-/i,
+    queryPrefix: "Represent this sentence for searching relevant passages: ",
+    documentPrefix: "",
+    pooling: "cls",
+    maxLength: 512,
+  },
+  nomic: {
+    match: /(^|\/)nomic-embed-text/i,
+    queryPrefix: "search_query: ",
+    documentPrefix: "search_document: ",
+    pooling: "mean",
+    maxLength: 8192,
+  },
+  minilm: {
+    match: /(^|\/)(all|paraphrase-multilingual)-MiniLM-L(6|12)-v2$/i,
+    queryPrefix: "",
+    documentPrefix: "",
+    pooling: "mean",
+    maxLength: 256,
+  },
+};
+
+/**
+ * The number of texts sent to the provider at once by `getCached()` and `compareSentenceToArray()`.
+ *
+ * @constant
+ * @type {number}
+ */
+const DEFAULT_BATCH_SIZE = 32;
+
+/**
+ * The options of hybrid searches, used for those not given in the `hybrid` option.
+ *
+ * @constant
+ * @type {{method: string, weight: number, rrfK: number, fuzzy: boolean}}
+ */
+const DEFAULT_HYBRID_OPTIONS = {
+  method: "weighted",
+  weight: 0.5,
+  rrfK: 60,
+  fuzzy: true,
+};
+
+/**
+ * The options of Maximal Marginal Relevance reranking, used for those not given in the `mmr` option.
+ *
+ * @constant
+ * @type {{lambda: number, candidates: ?number}}
+ */
+const DEFAULT_MMR_OPTIONS = {
+  lambda: 0.5,
+  candidates: null,
+};
+
+/**
+ * The options used by `loadReranker()` when none are passed. The default model is a cross-encoder trained on MS MARCO,
+ * which scores how well a passage answers a query.
+ *
+ * @constant
+ * @type {{model: string, revision: string, quantized: boolean, cacheDir: ?string, localModelPath: ?string, offline: boolean}}
+ */
+const DEFAULT_RERANKER_OPTIONS = {
+  model: "Xenova/ms-marco-MiniLM-L-6-v2",
+  revision: "main",
+  quantized: true,
+  cacheDir: null,
+  localModelPath: null,
+  offline: false,
+};
+
+/**
+ * The options of cross-encoder reranking, used for those not given in the `rerank` option.
+ *
+ * @constant
+ * @type {{candidates: number, batchSize: number}}
+ */
+const DEFAULT_RERANK_OPTIONS = {
+  candidates: 20,
+  batchSize: 16,
+};
+
+/**
+ * The options of rescoring quantized searches, used for those not given in the `rescore` option.
+ *
+ * @constant
+ * @type {{candidates: number}}
+ */
+const DEFAULT_RESCORE_OPTIONS = {
+  candidates: 40,
+};
+
+/**
+ * The options of chunked searches, used for those not given in the `chunking` option.
+ *
+ * @constant
+ * @type {{by: string, maxTokens: number, overlap: number, aggregate: string, topN: number}}
+ */
+const DEFAULT_CHUNKING_OPTIONS = {
+  by: "sentence",
+  maxTokens: 256,
+  overlap: 1,
+  aggregate: "max",
+  topN: 3,
+};
+
+/**
+ * Identifies files written by `saveIndex()`, followed by the format version.
+ *
+ * @constant
+ * @type {{magic: string, version: number}}
+ */
+const INDEX_FORMAT = {
+  magic: "VGFI",
+  version: 2,
+};
+
+/**
+ * Settles once the pipeline requested last is created. transformers.js reads its global `env` while a pipeline loads,
+ * so {@link createPipeline} creates one pipeline at a time.
+ *
+ * @type {Promise<void>}
+ */
+let pipelineQueue = Promise.resolve();
+
+/**
+ * Loads and holds a transformers.js pipeline of one finder, reusing it until different options are requested.
+ */
+class PipelineLoader {
+  key = null;
+  instance = null;
+
+  /**
+   * @param {string} [task="feature-extraction"] - The pipeline task, `text-classification` for rerankers.
+   */
+  constructor(task = "feature-extraction") {
+    this.task = task;
+  }
+
+  async getInstance(options, progress_callback = null) {
+    const key = JSON.stringify(options);
+    if (this.instance === null || this.key !== key) {
+      this.key = key;
+      const instance = createPipeline(
+        this.task,
+        options,
+        progress_callback,
+      ).catch((error) => {
+        // Forget a failed load, so the next call tries again instead of getting the same rejection
+        if (this.instance === instance) {
+          this.instance = null;
+          this.key = null;
+        }
+        throw error;
+      });
+      this.instance = instance;
+    }
+
+    return this.instance;
+  }
+}
+
+/**
+ * Class representing a size-bounded least-recently-used cache of text embeddings.
+ *
+ * Entries are keyed by model id and text. An id does not tell revisions or quantizations apart, so `loadModel()` also
+ * empties the cache when it replaces the provider. A `Map` keeps its keys in insertion order, so re-inserting an entry
+ * on every hit keeps the least recently used entry first.
+ */
+class EmbeddingCache {
+  entries = new Map();
+  maxSize = 0;
+  hits = 0;
+  misses = 0;
+
+  /**
+   * Create an EmbeddingCache.
+   * @param {number} maxSize - The maximum number of embeddings kept.
+   */
+  constructor(maxSize) {
+    this.maxSize = maxSize;
+  }
+
+  /**
+   * Build the key of an entry.
+   * @param {string} modelId - The id of the model the embedding comes from.
+   * @param {string} text - The embedded text.
+   * @return {string} The key.
+   * @private
+   */
+  _key(modelId, text) {
+    return `${modelId}\u0000${text}`;
+  }
+
+  /**
+   * Look up an embedding and mark it as recently used.
+   * @param {string} modelId - The id of the model the embedding comes from.
+   * @param {string} text - The embedded text.
+   * @return {?Float32Array} The embedding, or `null` on a miss.
+   */
+  get(modelId, text) {
+    const key = this._key(modelId, text);
+    const embedding = this.entries.get(key);
+    if (embedding === undefined) {
+      this.misses++;
+      return null;
+    }
+    this.hits++;
+    this.entries.delete(key);
+    this.entries.set(key, embedding);
+    return embedding;
+  }
+
+  /**
+   * Store an embedding, evicting the least recently used entries beyond `maxSize`.
+   * @param {string} modelId - The id of the model the embedding comes from.
+   * @param {string} text - The embedded text.
+   * @param {Float32Array} embedding - The embedding.
+   */
+  set(modelId, text, embedding) {
+    const key = this._key(modelId, text);
+    this.entries.delete(key);
+    this.entries.set(key, embedding);
+    this._evict();
+  }
+
+  /**
+   * Change the maximum number of embeddings kept.
+   * @param {number} maxSize - The new maximum.
+   */
+  resize(maxSize) {
+    this.maxSize = maxSize;
+    this._evict();
+  }
+
+  /**
+   * Remove every entry and reset the statistics.
+   */
+  clear() {
+    this.entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Get the statistics of the cache.
+   * @return {{size: number, maxSize: number, hits: number, misses: number}} The number of entries, the maximum, and the lookups that hit and missed.
+   */
+  getStats() {
+    return {
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+
+  /**
+   * Evict the least recently used entries beyond `maxSize`.
+   * @private
+   */
+  _evict() {
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * The state of one finder created by {@link createFinder}. Nothing in it is shared with other finders.
+ *
+ * @typedef {Object} FinderState
+ * @property {?EmbeddingProvider} provider - The loaded embedding provider, `null` until `loadModel()` resolves.
+ * @property {string} status - The state of the model: `idle`, `loading`, `ready` or `failed`.
+ * @property {?Error} error - Why the last load failed, `null` unless `status` is `failed`.
+ * @property {boolean} loadingModel - Whether a `loadModel()` call is in progress.
+ * @property {?Object} progress - The last progress snapshot, see {@link getProgress}.
+ * @property {Map<string, {file: string, status: string, loaded: number, total: number}>} files - The files of the model being loaded, with their progress.
+ * @property {{progress: Set<function>, state: Set<function>, warning: Set<function>}} listeners - The listeners subscribed with `on()`.
+ * @property {PipelineLoader} pipelineLoader - Loads the transformers.js pipeline of this finder.
+ * @property {?Reranker} reranker - The loaded reranker, `null` until `loadReranker()` resolves.
+ * @property {PipelineLoader} rerankerLoader - Loads the text-classification pipeline of the reranker.
+ * @property {Object} modelOptions - The options passed to `createFinder()`, used as defaults by `loadModel()`.
+ * @property {?EmbeddingCache} embeddingCache - The cache of text embeddings, `null` unless `loadModel()` was given a `cacheSize`.
+ * @property {{queryPrefix: string, documentPrefix: string, pooling: string, maxLength: ?number}} profile - How queries and documents are encoded, see {@link resolveProfile}.
+ */
+
+/**
+ * An embedding provider turns texts into fixed-size vectors. Every comparison goes through the loaded provider,
+ * so anything implementing this contract (an ONNX session, a precomputed-vector lookup, a deterministic
+ * hash-based embedder for tests, ...) can be passed to `loadModel({ provider })`.
+ *
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} id - Identifies the model behind the vectors, e.g. `Supabase/gte-small`. Vectors from providers with different ids are not comparable.
+ * @property {number} dimension - The length of every vector returned by `embed`.
+ * @property {function(Array<string>, {signal?: AbortSignal}=): Promise<Array<ArrayLike<number>>>} embed - Embeds a batch of texts, resolving to one vector per text in the same order. Vectors are expected to be normalized.
+ * Providers may stop early and reject when the optional `signal` aborts.
+ * @property {string} [pooling] - The pooling used to produce the vectors, e.g. `mean`. Recorded in saved indexes.
+ * @property {boolean} [normalize] - Whether the vectors are normalized by the model. Recorded in saved indexes.
+ * @property {function(): void} [terminate] - Releases the resources of the provider, e.g. its worker. Called when another model is loaded.
+ * @property {function(string): number} [countTokens] - Counts the tokens of a text, used to fit passages into the token budget of the `chunking` option. Without it, tokens are estimated from the number of words.
+ */
+
+/**
+ * Creates the default embedding provider around a transformers.js feature-extraction pipeline.
+ *
+ * @function
+ * @param {Function} extractor - The feature-extraction pipeline.
+ * @param {string} id - The model id the pipeline was loaded from.
+ * @param {{pooling: string, maxLength: ?number}} profile - The pooling of the embeddings, and the number of tokens texts are truncated to.
+ * @returns {EmbeddingProvider} The provider.
+ */
+
+function createTransformersProvider(extractor, id, profile) {
+  const { pooling, maxLength } = profile;
+  if (maxLength !== null) {
+    // The pipeline truncates to the length of its tokenizer. Every finder loads its own pipeline, so this is not shared
+    extractor.tokenizer.model_max_length = Math.min(
+      maxLength,
+      extractor.tokenizer.model_max_length ?? Infinity,
+    );
+  }
+  return {
+    id,
+    dimension: extractor.model.config.hidden_size,
+    pooling,
+    normalize: true,
+    countTokens(text) {
+      return extractor.tokenizer.encode(text).length;
+    },
+    async embed(texts) {
+      // The whole batch goes through the model in one call, padding is masked out by the pooling
+      const output = await extractor(texts, { pooling, normalize: true });
+      const [count, dimension] = output.dims;
+      const vectors = [];
+      for (let i = 0; i < count; i++) {
+        vectors.push(output.data.subarray(i * dimension, (i + 1) * dimension));
+      }
+      return vectors;
+    },
+  };
+}
+
+/**
+ * A reranker scores query/text pairs jointly, reading both texts at once. This is slower than comparing embeddings,
+ * so it is only run on the best candidates of a search, but it orders them much more accurately.
+ *
+ * @typedef {Object} Reranker
+ * @property {string} id - Identifies the model behind the scores, e.g. `Xenova/ms-marco-MiniLM-L-6-v2`.
+ * @property {function(string, Array<string>, {signal?: AbortSignal}=): Promise<Array<number>>} score - Scores how relevant every text is to the query,
+ * resolving to one number per text in the same order (higher is more relevant).
+ */
+
+/**
+ * Creates the default reranker around a transformers.js text-classification pipeline holding a cross-encoder.
+ *
+ * The query and every text are encoded as one pair. Models with a single output (most cross-encoders) are squashed
+ * into [0, 1] with a sigmoid; for models with more labels, the probability of the last label is used.
+ *
+ * @function
+ * @param {Function} classifier - The text-classification pipeline.
+ * @param {string} id - The model id the pipeline was loaded from.
+ * @returns {Reranker} The reranker.
+ */
+
+function createTransformersReranker(classifier, id) {
+  return {
+    id,
+    async score(query, texts) {
+      // The pipeline itself does not take text pairs, so the pairs go through its tokenizer and model directly
+      const inputs = classifier.tokenizer(new Array(texts.length).fill(query), {
+        text_pair: texts,
+        padding: true,
+        truncation: true,
+      });
+      const { logits } = await classifier.model(inputs);
+      const [count, labels] = logits.dims;
+      const scores = [];
+      for (let i = 0; i < count; i++) {
+        const row = logits.data.subarray(i * labels, (i + 1) * labels);
+        if (labels === 1) {
+          scores.push(1 / (1 + Math.exp(-row[0])));
+        } else {
+          const max = Math.max(...row);
+          let sum = 0;
+          for (const logit of row) {
+            sum += Math.exp(logit - max);
+          }
+          scores.push(Math.exp(row[labels - 1] - max) / sum);
+        }
+      }
+      return scores;
+    },
+  };
+}
+
+/**
+ * Starts the worker script of `loadModel({ worker: true })`: a Web Worker where the `Worker` global exists (browsers),
+ * a `worker_threads` worker otherwise (Node.js). Both are wrapped in the same small interface.
+ *
+ * @async
+ * @function
+ * @returns {Promise<{post: function(Object): void, onMessage: function(function(Object): void): void, onError: function(function(Error): void): void, onExit: function(function(number): void): void, ref: function(): void, unref: function(): void, terminate: function(): void}>} The worker.
+ */
+
+async function spawnWorker() {
+  const url = new URL("./worker.js", import.meta.url);
+  if (typeof globalThis.Worker === "function") {
+    const worker = new globalThis.Worker(url, { type: "module" });
+    return {
+      post: (message) => worker.postMessage(message),
+      onMessage: (listener) =>
+        worker.addEventListener("message", (event) => listener(event.data)),
+      onError: (listener) =>
+        worker.addEventListener("error", (event) =>
+          listener(new Error(event.message)),
+        ),
+      // Web Workers have no exit event, they only stop when terminated
+      onExit: () => {},
+      ref: () => {},
+      unref: () => {},
+      terminate: () => worker.terminate(),
+    };
+  }
+
+  const { Worker } = await import("worker_threads");
+  const worker = new Worker(url);
+  return {
+    post: (message) => worker.postMessage(message),
+    onMessage: (listener) => worker.on("message", listener),
+    onError: (listener) => worker.on("error", listener),
+    onExit: (listener) => worker.on("exit", listener),
+    ref: () => worker.ref(),
+    unref: () => worker.unref(),
+    terminate: () => worker.terminate(),
+  };
+}
+
+/**
+ * Asynchronously loads a model in a worker and creates a provider that embeds through it.
+ *
+ * Every `embed` call becomes a job that the worker runs after the ones before it. A job whose `signal` aborts is
+ * dropped from the queue, or its result discarded if it is already running, and its call rejects right away.
+ * In Node.js the worker only keeps the process alive while it is loading or has jobs.
+ *
+ * @async
+ * @function
+ * @param {Object} options - The model options of `loadModel()`.
+ * @param {function(Object): void} onProgress - Called with every progress snapshot forwarded from the worker.
+ * @param {?AbortSignal} [signal=null] - Stops the worker if it aborts before the model is loaded.
+ * @throws {Error} If the worker cannot be started or the model cannot be loaded in it.
+ * @returns {Promise<EmbeddingProvider>} The provider, with a `terminate` function stopping the worker and rejecting its pending jobs.
+ */
+
+async function createWorkerProvider(options, onProgress, signal = null) {
+  const worker = await spawnWorker();
+  const jobs = new Map();
+  let nextId = 0;
+  let loading = null;
+  const updateRef = () => (jobs.size > 0 ? worker.ref() : worker.unref());
+  const failJobs = (error) => {
+    loading.reject(error);
+    for (const job of jobs.values()) {
+      job.reject(error);
+    }
+    jobs.clear();
+    updateRef();
+  };
+
+  const loaded = new Promise((resolve, reject) => {
+    loading = { resolve, reject };
+  });
+  worker.onMessage((message) => {
+    if (message.type === "progress") {
+      onProgress(message.data);
+    } else if (message.type === "loaded") {
+      loading.resolve(message.info);
+    } else if (message.id === undefined) {
+      loading.reject(new Error(message.message));
+    } else if (jobs.has(message.id)) {
+      const job = jobs.get(message.id);
+      jobs.delete(message.id);
+      updateRef();
+      if (message.type === "error") {
+        job.reject(new Error(message.message));
+        return;
+      }
+      const { matrix, dimension } = message;
+      const vectors = [];
+      for (let i = 0; i < matrix.length / dimension; i++) {
+        vectors.push(matrix.subarray(i * dimension, (i + 1) * dimension));
+      }
+      job.resolve(vectors);
+    }
+  });
+  worker.onError(failJobs);
+  // A worker that exits without reporting an error would otherwise leave its jobs pending forever
+  worker.onExit((code) =>
+    failJobs(new Error(`The worker stopped with exit code ${code}`)),
+  );
+
+  // loadModel() retries on the main thread, with a new worker for every attempt
+  worker.post({ type: "load", options: { ...options, retries: 0 } });
+  const abort = () => loading.reject(signal.reason);
+  if (signal) {
+    signal.addEventListener("abort", abort, { once: true });
+  }
+  let info;
+  try {
+    info = await loaded;
+  } catch (error) {
+    worker.terminate();
+    throw error;
+  } finally {
+    if (signal) {
+      signal.removeEventListener("abort", abort);
+    }
+  }
+  updateRef();
+
+  return {
+    ...info,
+    embed(texts, { signal = null } = {}) {
+      return new Promise((resolve, reject) => {
+        const id = nextId++;
+        const abort = () => {
+          jobs.delete(id);
+          updateRef();
+          worker.post({ type: "cancel", id });
+          reject(signal.reason);
+        };
+        if (signal) {
+          signal.addEventListener("abort", abort, { once: true });
+        }
+        const settle = (callback) => (value) => {
+          if (signal) {
+            signal.removeEventListener("abort", abort);
+          }
+          callback(value);
+        };
+        jobs.set(id, { resolve: settle(resolve), reject: settle(reject) });
+        updateRef();
+        worker.post({ type: "embed", id, texts });
+      });
+    },
+    terminate() {
+      failJobs(new Error("The worker was terminated"));
+      worker.terminate();
+    },
+  };
+}
+
+/**
+ * Checks that an object implements the {@link EmbeddingProvider} contract.
+ *
+ * @function
+ * @param {EmbeddingProvider} candidate - The object to check.
+ * @throws {Error} If `id`, `dimension` or `embed` is missing or has the wrong type.
+ */
+
+function validateProvider(candidate) {
+  if (!candidate || typeof candidate.embed !== "function") {
+    throw new Error("The provider must have an embed(texts) function");
+  }
+  if (typeof candidate.id !== "string" || candidate.id === "") {
+    throw new Error("The provider must have a non-empty string id");
+  }
+  if (!Number.isInteger(candidate.dimension) || candidate.dimension <= 0) {
+    throw new Error("The provider must have a positive integer dimension");
+  }
+}
+
+/**
+ * Checks that an object implements the {@link Reranker} contract.
+ *
+ * @function
+ * @param {Reranker} candidate - The object to check.
+ * @throws {Error} If `id` or `score` is missing or has the wrong type.
+ */
+
+function validateReranker(candidate) {
+  if (!candidate || typeof candidate.score !== "function") {
+    throw new Error("The reranker must have a score(query, texts) function");
+  }
+  if (typeof candidate.id !== "string" || candidate.id === "") {
+    throw new Error("The reranker must have a non-empty string id");
+  }
+}
+
+/**
+ * Embeds texts with the loaded provider and checks the vectors it returns.
+ *
+ * Vectors are copied into `Float32Array`s and normalized if the provider did not, so that similarities can be computed with plain dot products.
+ * If the finder has an {@link EmbeddingCache}, only the texts missing from it are sent to the provider.
+ * Texts are first given the query or document prefix of the encoding profile of the finder, depending on `role`.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder whose provider is used.
+ * @param {Array<string>} texts - The texts to embed.
+ * @param {AbortSignal} [signal] - Cancels the call, rejecting with the reason of the signal.
+ * @param {string} [role="document"] - `query` for texts searched for, `document` for texts searched in.
+ * @throws {Error} If the provider does not return one vector of `dimension` numbers per text.
+ * @returns {Promise<Array<Float32Array>>} One normalized embedding per text, in the same order.
+ */
+
+async function embedTexts(state, texts, signal = null, role = "document") {
+  const { provider, embeddingCache, profile } = state;
+  const prefix =
+    role === "query" ? profile.queryPrefix : profile.documentPrefix;
+  if (prefix) {
+    texts = texts.map((text) => prefix + text);
+  }
+  if (embeddingCache) {
+    const embeddings = texts.map((text) =>
+      embeddingCache.get(provider.id, text),
+    );
+    const missing = [
+      ...new Set(texts.filter((text, i) => embeddings[i] === null)),
+    ];
+    if (missing.length > 0) {
+      const embedded = new Map();
+      const vectors = await embedWithProvider(provider, missing, signal);
+      missing.forEach((text, i) => {
+        embedded.set(text, vectors[i]);
+        embeddingCache.set(provider.id, text, vectors[i]);
+      });
+      texts.forEach((text, i) => {
+        embeddings[i] ??= embedded.get(text);
+      });
+    }
+    return embeddings;
+  }
+  return embedWithProvider(provider, texts, signal);
+}
+
+/**
+ * Embeds texts with a provider, bypassing the cache, and checks the vectors it returns.
+ *
+ * @async
+ * @function
+ * @param {EmbeddingProvider} provider - The provider.
+ * @param {Array<string>} texts - The texts to embed.
+ * @param {?AbortSignal} signal - Cancels the call. Passed on to the provider.
+ * @throws {Error} If the provider does not return one vector of `dimension` numbers per text.
+ * @returns {Promise<Array<Float32Array>>} One normalized embedding per text, in the same order.
+ */
+
+async function embedWithProvider(provider, texts, signal) {
+  if (signal) {
+    signal.throwIfAborted();
+  }
+  const vectors = await provider.embed(texts, signal ? { signal } : {});
+  if (signal) {
+    signal.throwIfAborted();
+  }
+  if (!vectors || vectors.length !== texts.length) {
+    throw new Error(
+      `Provider "${provider.id}" returned ${vectors ? vectors.length : 0} vectors for ${texts.length} texts`,
+    );
+  }
+  return vectors.map((vector) => {
+    if (vector.length !== provider.dimension) {
+      throw new Error(
+        `Provider "${provider.id}" returned a vector of dimension ${vector.length}, expected ${provider.dimension}`,
+      );
+    }
+    return normalizeVector(Float32Array.from(vector));
+  });
+}
+
+/**
+ * Embeds texts in batches of `batchSize`, so large arrays are sent to the provider a few texts at a time.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder whose provider is used.
+ * @param {Array<string>} texts - The texts to embed.
+ * @param {Object} [options] - Batching options.
+ * @param {number} [options.batchSize=32] - The number of texts sent to the provider at once.
+ * @param {function({batch: number, batches: number, done: number, total: number}): void} [options.onBatch] - Called after every batch with the number of embedded texts so far.
+ * @param {AbortSignal} [options.signal] - Cancels the remaining batches, rejecting with the reason of the signal.
+ * @param {string} [options.role="document"] - Whether the texts are queries or documents, see {@link embedTexts}.
+ * @throws {Error} If `batchSize` is not a positive integer.
+ * @returns {Promise<Array<Float32Array>>} One normalized embedding per text, in the same order.
+ */
+
+async function embedInBatches(
+  state,
+  texts,
+  {
+    batchSize = DEFAULT_BATCH_SIZE,
+    onBatch = null,
+    signal = null,
+    role = "document",
+  } = {},
+) {
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new Error("batchSize must be a positive integer");
+  }
+
+  const embeddings = [];
+  const batches = Math.ceil(texts.length / batchSize);
+  for (let i = 0; i < texts.length; i += batchSize) {
+    const batch = await embedTexts(
+      state,
+      texts.slice(i, i + batchSize),
+      signal,
+      role,
+    );
+    for (let j = 0; j < batch.length; j++) {
+      embeddings.push(batch[j]);
+    }
+    if (onBatch) {
+      onBatch({
+        batch: i / batchSize + 1,
+        batches,
+        done: embeddings.length,
+        total: texts.length,
+      });
+    }
+  }
+
+  return embeddings;
+}
+
+/**
+ * Scales a vector to unit length in place, unless it already has unit length.
+ *
+ * @function
+ * @param {Float32Array} vector - The vector to normalize.
+ * @returns {Float32Array} The same vector.
+ */
+
+function normalizeVector(vector) {
+  let magnitude = 0;
+  for (let i = 0; i < vector.length; i++) {
+    magnitude += vector[i] * vector[i];
+  }
+  magnitude = Math.sqrt(magnitude);
+  if (magnitude > 0 && Math.abs(magnitude - 1) > 1e-4) {
+    for (let i = 0; i < vector.length; i++) {
+      vector[i] /= magnitude;
+    }
+  }
+  return vector;
+}
+
+/**
+ * Calculates the dot product of two embeddings, which is their cosine similarity since embeddings are normalized.
+ *
+ * @function
+ * @param {ArrayLike<number>} embedding1 - The first embedding.
+ * @param {ArrayLike<number>} embedding2 - The second embedding.
+ * @returns {number} The cosine similarity, between -1 and 1.
+ */
+
+function dotProduct(embedding1, embedding2) {
+  let dot = 0;
+  for (let i = 0; i < embedding1.length; i++) {
+    dot += embedding1[i] * embedding2[i];
+  }
+  return dot;
+}
+
+/**
+ * Packs embeddings into one contiguous `Float32Array` matrix, one row per embedding.
+ *
+ * @function
+ * @param {Array<ArrayLike<number>>} embeddings - The embeddings, all of the same dimension.
+ * @returns {{matrix: Float32Array, dimension: number}} The matrix and its row length.
+ */
+
+function toMatrix(embeddings) {
+  const dimension = embeddings.length ? embeddings[0].length : 0;
+  const matrix = new Float32Array(embeddings.length * dimension);
+  for (let i = 0; i < embeddings.length; i++) {
+    matrix.set(embeddings[i], i * dimension);
+  }
+  return { matrix, dimension };
+}
+
+/**
+ * Returns the matrix the embeddings are rows of, if they are consecutive views into one `Float32Array` (as produced by `getCached`).
+ *
+ * @function
+ * @param {Array<ArrayLike<number>>} embeddings - The embeddings.
+ * @returns {?{matrix: Float32Array, dimension: number}} The shared matrix, or `null` if the embeddings are stored separately.
+ */
+
+function getSharedMatrix(embeddings) {
+  if (embeddings.length === 0 || !(embeddings[0] instanceof Float32Array)) {
+    return null;
+  }
+  const { buffer, byteOffset, length: dimension } = embeddings[0];
+  for (let i = 1; i < embeddings.length; i++) {
+    const embedding = embeddings[i];
+    if (
+      !(embedding instanceof Float32Array) ||
+      embedding.buffer !== buffer ||
+      embedding.length !== dimension ||
+      embedding.byteOffset !==
+        byteOffset + i * dimension * Float32Array.BYTES_PER_ELEMENT
+    ) {
+      return null;
+    }
+  }
+  return {
+    matrix: new Float32Array(buffer, byteOffset, embeddings.length * dimension),
+    dimension,
+  };
+}
+
+/**
+ * Scores a query embedding against many embeddings.
+ *
+ * Embeddings that share one matrix are scored in a single pass over it; any other array-like embeddings,
+ * including plain `number[]` from older versions of `getCached`, are scored one by one.
+ *
+ * @function
+ * @param {ArrayLike<number>} query - The normalized query embedding.
+ * @param {Array<ArrayLike<number>>} embeddings - The normalized embeddings to score.
+ * @returns {Float64Array} The cosine similarity of the query to every embedding, in the same order.
+ */
+
+function scoreEmbeddings(query, embeddings) {
+  const scores = new Float64Array(embeddings.length);
+  const shared = getSharedMatrix(embeddings);
+  if (!shared) {
+    for (let i = 0; i < embeddings.length; i++) {
+      scores[i] = dotProduct(query, embeddings[i]);
+    }
+    return scores;
+  }
+
+  return scoreMatrix(query, shared.matrix, shared.dimension, scores.length);
+}
+
+/**
+ * Scores a query embedding against the first `count` rows of a matrix in a single pass.
+ *
+ * @function
+ * @param {ArrayLike<number>} query - The normalized query embedding.
+ * @param {Float32Array} matrix - The normalized embeddings, one row of `dimension` numbers each.
+ * @param {number} dimension - The row length.
+ * @param {number} count - The number of rows to score.
+ * @returns {Float64Array} The cosine similarity of the query to every row.
+ */
+
+function scoreMatrix(query, matrix, dimension, count) {
+  const scores = new Float64Array(count);
+  for (let row = 0, offset = 0; row < count; row++) {
+    let dot = 0;
+    for (let i = 0; i < dimension; i++, offset++) {
+      dot += query[i] * matrix[offset];
+    }
+    scores[row] = dot;
+  }
+  return scores;
+}
+
+/**
+ * Compresses the rows of an embedding matrix.
+ *
+ * `int8` scales every row by its largest absolute value into integers between -127 and 127, a quarter of the memory of floats.
+ * `binary` keeps one bit per dimension, set for positive values, packed 8 to a byte with the first dimension in the highest bit: a thirty-second of the memory.
+ * The rows of the result are views on one shared typed array.
+ *
+ * @function
+ * @param {Float32Array} matrix - The normalized embeddings, one row of `dimension` numbers each.
+ * @param {number} dimension - The row length.
+ * @param {number} count - The number of rows.
+ * @param {string} type - `int8` or `binary`.
+ * @returns {Array<{quantized: Int8Array|Uint8Array, scale?: number}>} The compressed rows, with the factor turning `int8` values back into floats.
+ */
+
+function quantizeMatrix(matrix, dimension, count, type) {
+  const rows = [];
+  if (type === "int8") {
+    const data = new Int8Array(count * dimension);
+    for (let row = 0; row < count; row++) {
+      const offset = row * dimension;
+      let max = 0;
+      for (let i = 0; i < dimension; i++) {
+        max = Math.max(max, Math.abs(matrix[offset + i]));
+      }
+      const scale = max / 127 || 1;
+      for (let i = 0; i < dimension; i++) {
+        data[offset + i] = Math.round(matrix[offset + i] / scale);
+      }
+      rows.push({
+        quantized: data.subarray(offset, offset + dimension),
+        scale,
+      });
+    }
+    return rows;
+  }
+
+  const bytes = Math.ceil(dimension / 8);
+  const data = new Uint8Array(count * bytes);
+  for (let row = 0; row < count; row++) {
+    const offset = row * bytes;
+    for (let i = 0; i < dimension; i++) {
+      if (matrix[row * dimension + i] > 0) {
+        data[offset + (i >> 3)] |= 0x80 >> (i & 7);
+      }
+    }
+    rows.push({ quantized: data.subarray(offset, offset + bytes) });
+  }
+  return rows;
+}
+
+/**
+ * The number of set bits of every byte, for Hamming distances.
+ *
+ * @constant
+ * @type {Uint8Array}
+ */
+const POPCOUNT = Uint8Array.from({ length: 256 }, (_, byte) => {
+  let bits = 0;
+  for (let value = byte; value; value >>= 1) {
+    bits += value & 1;
+  }
+  return bits;
+});
+
+/**
+ * Creates a function scoring a query embedding against items cached with the `quantize` option of `getCached`.
+ *
+ * `int8` items are scored against the full-precision query and scaled back, which stays within about 0.01 of the float score.
+ * `binary` items are scored by the Hamming distance to the signs of the query, as `1 - 2 * distance / dimension`:
+ * a rough estimate, best refined with the `rescore` option of searches.
+ *
+ * @function
+ * @param {Float32Array} query - The normalized query embedding.
+ * @returns {function({quantized: Int8Array|Uint8Array, quantization: string, scale?: number}): number} The scorer.
+ */
+
+function createQuantizedScorer(query) {
+  const [queryBits] = quantizeMatrix(query, query.length, 1, "binary");
+  return ({ quantized, quantization, scale }) => {
+    if (quantization === "int8") {
+      let dot = 0;
+      for (let i = 0; i < query.length; i++) {
+        dot += query[i] * quantized[i];
+      }
+      return dot * scale;
+    }
+    let distance = 0;
+    for (let i = 0; i < quantized.length; i++) {
+      distance += POPCOUNT[quantized[i] ^ queryBits.quantized[i]];
+    }
+    return 1 - (2 * distance) / query.length;
+  };
+}
+
+/**
+ * Checks that every item of a cached array has a `sentenceTwo` and an `embedding`.
+ * Items cached with the `chunking` option have `passages` instead, and items cached with the `quantize` option have `quantized` embeddings;
+ * only the search functions accept those.
+ *
+ * @function
+ * @param {Array<{sentenceTwo: string, embedding: ArrayLike<number>}>} cachedArray - The cached array to check.
+ * @param {boolean} [forSearch=false] - Whether items may have `passages` or `quantized` embeddings instead of an `embedding`.
+ * @throws {Error} If an item has no `sentenceTwo` or no `embedding`.
+ */
+
+function validateCachedArray(cachedArray, forSearch = false) {
+  for (let i = 0; i < cachedArray.length; i++) {
+    if (!cachedArray[i].sentenceTwo) {
+      throw new Error(
+        "Each item in the cachedArray must have a sentenceTwo property",
+      );
+    }
+    if (cachedArray[i].passages && !cachedArray[i].embedding) {
+      if (forSearch) {
+        continue;
+      }
+      throw new Error(
+        "Cached arrays built with the chunking option are only supported by the search functions",
+      );
+    }
+    if (cachedArray[i].quantized && !cachedArray[i].embedding) {
+      if (forSearch) {
+        continue;
+      }
+      throw new Error(
+        "Cached arrays built with the quantize option are only supported by the search functions",
+      );
+    }
+    if (!cachedArray[i].embedding) {
+      throw new Error(
+        "Each item in the cachedArray must have an embedding property",
+      );
+    }
+  }
+}
+
+/**
+ * Tells whether an item of a corpus is cached, i.e. has an `embedding` or, if it was cached with `chunking` or `quantize`, `passages` or a `quantized` embedding.
+ *
+ * @function
+ * @param {string|Object} item - The item.
+ * @returns {boolean} Whether the item is cached.
+ */
+
+function isCachedEntry(item) {
+  return (
+    typeof item === "object" &&
+    item !== null &&
+    Boolean(item.embedding || item.passages || item.quantized)
+  );
+}
+
+/**
+ * The operators of declarative filters. Each one tests a metadata value against the operand of the filter.
+ *
+ * @constant
+ * @type {Object<string, function(*, *): boolean>}
+ */
+const FILTER_OPERATORS = {
+  eq: (value, operand) => value === operand,
+  ne: (value, operand) => value !== operand,
+  gt: (value, operand) => value > operand,
+  gte: (value, operand) => value >= operand,
+  lt: (value, operand) => value < operand,
+  lte: (value, operand) => value <= operand,
+  in: (value, operand) => operand.includes(value),
+  nin: (value, operand) => !operand.includes(value),
+};
+
+/**
+ * Turns a filter into a predicate over metadata.
+ *
+ * A filter is either a function `(metadata, item) => boolean`, or an object mapping metadata fields (dot paths) to a value
+ * that must be equal, or to an object of operators: `eq`, `ne`, `gt`, `gte`, `lt`, `lte`, `in` and `nin`.
+ * All conditions must hold. If the metadata value is an array, such as tags, `eq`, `in` and the range operators match if any
+ * element matches, while `ne` and `nin` match if no element does.
+ *
+ * @function
+ * @param {function(Object, Object): boolean|Object} filter - The filter.
+ * @throws {Error} If the filter uses an unknown operator, or `in`/`nin` without an array.
+ * @returns {function(?Object, Object): boolean} A predicate taking the metadata and the item.
+ *
+ * @example
+ * compileFilter({ category: "shoes", price: { lt: 50 }, archived: { ne: true }, color: { in: ["red", "blue"] } });
+ */
+
+function compileFilter(filter) {
+  if (typeof filter === "function") {
+    return filter;
+  }
+  if (!filter || typeof filter !== "object") {
+    throw new Error("filter must be a function or an object");
+  }
+
+  const conditions = [];
+  for (const [field, condition] of Object.entries(filter)) {
+    const path = field.split(".");
+    const operators =
+      condition !== null &&
+      typeof condition === "object" &&
+      !Array.isArray(condition) &&
+      !(condition instanceof Date)
+        ? condition
+        : { eq: condition };
+    for (const [operator, operand] of Object.entries(operators)) {
+      const test = FILTER_OPERATORS[operator];
+      if (!test) {
+        throw new Error(
+          `Unknown filter operator "${operator}" for "${field}", expected one of ${Object.keys(FILTER_OPERATORS).join(", ")}`,
+        );
+      }
+      if (
+        (operator === "in" || operator === "nin") &&
+        !Array.isArray(operand)
+      ) {
+        throw new Error(
+          `The "${operator}" filter of "${field}" must be an array`,
+        );
+      }
+      conditions.push({ path, operator, operand, test });
+    }
+  }
+
+  return (metadata) =>
+    conditions.every(({ path, operator, operand, test }) => {
+      let value = metadata;
+      for (
+        let i = 0;
+        i < path.length && value !== null && value !== undefined;
+        i++
+      ) {
+        value = value[path[i]];
+      }
+      if (value instanceof Date) {
+        value = value.getTime();
+      }
+      const comparable = operand instanceof Date ? operand.getTime() : operand;
+      if (!Array.isArray(value)) {
+        return test(value, comparable);
+      }
+      if (operator === "ne" || operator === "nin") {
+        return value.every((element) => test(element, comparable));
+      }
+      return value.some((element) => test(element, comparable));
+    });
+}
+
+/**
+ * Keeps the items whose metadata matches a filter.
+ *
+ * @function
+ * @param {Array<Object>} array - The items, each with an optional `metadata` property.
+ * @param {function(Object, Object): boolean|Object} [filter] - The filter, see {@link compileFilter}.
+ * @returns {Array<Object>} The matching items, or `array` itself if there is no filter.
+ */
+
+function applyFilter(array, filter) {
+  if (!filter) {
+    return array;
+  }
+  const matches = compileFilter(filter);
+  return array.filter((item) => matches(item && item.metadata, item));
+}
+
+/**
+ * Checks whether a model reference points to a directory on disk rather than a Hugging Face Hub model id.
+ *
+ * @function
+ * @param {string} modelReference - A model id such as `Supabase/gte-small` or a path such as `./models/gte-small`.
+ * @returns {boolean} `true` if the reference is an absolute or relative path.
+ */
+
+function isLocalPath(modelReference) {
+  return /^(\.{1,2}[\\/]|[\\/]|[A-Za-z]:[\\/])/.test(modelReference);
+}
+
+/**
+ * Applies the model options to the transformers `env` and returns the arguments for `pipeline()`.
+ *
+ * `env` is shared by every pipeline in the process, so this is only called by {@link createPipeline}, which restores it afterwards.
+ *
+ * @function
+ * @param {typeof DEFAULT_MODEL_OPTIONS} options - The resolved model options.
+ * @returns {[string, Object]} The model id (relative to `env.localModelPath` for local paths) and the pipeline options.
+ */
+
+function resolvePipelineArguments(options) {
+  let modelId = options.model;
+  const local = isLocalPath(modelId);
+
+  env.allowLocalModels = local || options.offline || !!options.localModelPath;
+  env.allowRemoteModels = !local && !options.offline;
+
+  if (local) {
+    // transformers.js joins `env.localModelPath` and the model id, so split the path into both halves
+    const trimmed = modelId.replace(/[\\/]+$/, "");
+    const separator = Math.max(
+      trimmed.lastIndexOf("/"),
+      trimmed.lastIndexOf("\\"),
+    );
+    env.localModelPath = trimmed.slice(0, separator + 1) || "/";
+    modelId = trimmed.slice(separator + 1);
+  } else if (options.localModelPath) {
+    env.localModelPath = options.localModelPath;
+  }
+
+  return [
+    modelId,
+    {
+      quantized: options.quantized,
+      revision: options.revision,
+      cache_dir: options.cacheDir,
+      local_files_only: local || options.offline,
+    },
+  ];
+}
+
+/**
+ * Asynchronously creates a transformers.js pipeline once the pipelines requested before it are created.
+ *
+ * The model options are applied to the transformers `env` only while the pipeline loads, and the previous settings are
+ * restored afterwards, so a load never sees the local or offline settings of another one, or of one before it.
+ *
+ * @async
+ * @function
+ * @param {string} task - The pipeline task.
+ * @param {typeof DEFAULT_MODEL_OPTIONS} options - The resolved model options.
+ * @param {?function(Object): void} progress_callback - Called with the progress events of the download.
+ * @returns {Promise<Object>} The pipeline.
+ */
+
+async function createPipeline(task, options, progress_callback) {
+  const previous = pipelineQueue;
+  let release;
+  pipelineQueue = new Promise((resolve) => {
+    release = resolve;
+  });
+  await previous;
+  const saved = {
+    allowLocalModels: env.allowLocalModels,
+    allowRemoteModels: env.allowRemoteModels,
+    localModelPath: env.localModelPath,
+  };
+  try {
+    const [modelId, pipelineOptions] = resolvePipelineArguments(options);
+    return await pipeline(task, modelId, {
+      ...pipelineOptions,
+      progress_callback,
+    });
+  } finally {
+    Object.assign(env, saved);
+    release();
+  }
+}
+
+/**
+ * Asynchronously loads the model.
+ *
+ * This function gets the pipeline instance which will load and build the model when run for the first time.
+ * It also provides a way to track the progress of the pipeline creation, which can be used to update a UI element like a progress bar.
+ * Calling it again with different options replaces the loaded model.
+ *
+ * The finder moves from `idle` to `loading`, and then to `ready` or `failed` (see {@link setStatus}); subscribe with `on("state", ...)`.
+ * A failed download from the Hub is retried `retries` times, waiting `retryDelay` milliseconds before the first retry and twice as long before each next one.
+ * Loads from local files are not retried. If the load fails, a model loaded before stays usable.
+ * A finder loads one model at a time, so calling it again before a load ends rejects; abort a load with its `signal` to start another one right away.
+ *
+ * Instead of a transformers.js model, a custom {@link EmbeddingProvider} can be passed as `options.provider`.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Object} [options] - Options controlling which model is loaded and from where.
+ * @param {string} [options.model="Supabase/gte-small"] - A feature-extraction model id on the Hugging Face Hub, or a path to a local model directory.
+ * @param {string} [options.revision="main"] - The model revision (branch, tag or commit hash) to load.
+ * @param {boolean} [options.quantized=true] - Whether to load the quantized weights.
+ * @param {string} [options.cacheDir] - The directory used to cache downloaded model files.
+ * @param {string} [options.localModelPath] - A directory holding models by id, checked before the Hub.
+ * @param {boolean} [options.offline=false] - Only use local or cached files and fail instead of contacting the Hub.
+ * @param {EmbeddingProvider} [options.provider] - A custom embedding provider to use instead of a transformers.js model. The other model options are ignored when it is set.
+ * @param {boolean} [options.worker=false] - Load and run the model in a worker (`worker_threads` in Node.js, a Web Worker in browsers), so embedding does not block the calling thread.
+ * Embedding jobs are queued in the worker, and jobs can be cancelled with the `signal` option of the embedding functions.
+ * @param {string|URL} [options.providerModule] - The absolute URL of a module whose default export creates a custom {@link EmbeddingProvider} (or a promise of one).
+ * Functions cannot be sent to a worker, so this is how a custom provider runs with `worker: true`.
+ * @param {function(Object): void} [options.onProgress] - Called with every progress event while the model loads, see {@link getProgress}.
+ * @param {number} [options.cacheSize=0] - Keep the embeddings of up to this many recently embedded texts (see {@link EmbeddingCache}), so repeated queries skip the model. `0` disables the cache.
+ * @param {number} [options.retries=2] - How many times a failed download is retried.
+ * @param {number} [options.retryDelay=1000] - The milliseconds to wait before the first retry, doubled for every next one.
+ * @param {AbortSignal} [options.signal] - Cancels the load, rejecting with the reason of the signal. A model loaded before stays loaded.
+ * A download on the main thread keeps running in the background and is reused by the next `loadModel()` with the same options; a worker is stopped.
+ * @param {string|Object} [options.profile] - How queries and documents are encoded: the name of a built-in profile (see {@link ENCODING_PROFILES}),
+ * or an object overriding fields of the profile matching the model. By default the profile is chosen by the model id. See {@link resolveProfile}.
+ * @throws {Error} If the model cannot be loaded, an error is thrown with a message detailing the reason. If another load of the finder is in progress.
+ *
+ * @example
+ * try {
+ *   await loadModel();
+ *   await loadModel({ model: "./models/gte-small", offline: true });
+ *   await loadModel({ provider: myProvider });
+ * } catch (error) {
+ *   console.error(error);
+ * }
+ */
+
+async function loadModel(state, options = {}) {
+  if (state.loadingModel) {
+    throw new Error(
+      "A model is already loading, wait for it or abort it with its signal before loading another one",
+    );
+  }
+  state.loadingModel = true;
+  try {
+    await performModelLoad(state, options);
+  } finally {
+    state.loadingModel = false;
+  }
+}
+
+/**
+ * Asynchronously loads the model for {@link loadModel}, which makes sure only one load of a finder runs at a time.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Object} options - The options of {@link loadModel}.
+ */
+
+async function performModelLoad(state, options) {
+  const {
+    cacheSize,
+    worker,
+    onProgress,
+    retries,
+    retryDelay,
+    signal = null,
+    ...resolvedOptions
+  } = {
+    ...DEFAULT_MODEL_OPTIONS,
+    ...state.modelOptions,
+    ...options,
+  };
+  if (!Number.isInteger(cacheSize) || cacheSize < 0) {
+    throw new Error("cacheSize must be a non-negative integer");
+  }
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error("retries must be a non-negative integer");
+  }
+  if (signal) {
+    signal.throwIfAborted();
+  }
+  if (cacheSize === 0) {
+    state.embeddingCache = null;
+  } else if (state.embeddingCache) {
+    state.embeddingCache.resize(cacheSize);
+  } else {
+    state.embeddingCache = new EmbeddingCache(cacheSize);
+  }
+
+  const reportProgress = (data) => {
+    // You can track the progress of the pipeline creation here.
+    // e.g., you can send `data` back to the UI to indicate a progress bar
+    // can be accessed via vagueFinder.getProgress()
+    trackProgress(state, data);
+    if (onProgress) {
+      onProgress(state.progress);
+    }
+  };
+  const setProvider = (provider, profile) => {
+    if (
+      state.provider &&
+      state.provider !== provider &&
+      state.provider.terminate
+    ) {
+      state.provider.terminate();
+    }
+    // Cached embeddings are keyed by model id, which does not tell another revision, quantization, pooling or
+    // length limit apart, so they only outlive a load that keeps the provider and the profile
+    if (
+      state.embeddingCache &&
+      (state.provider !== provider ||
+        JSON.stringify(state.profile) !== JSON.stringify(profile))
+    ) {
+      state.embeddingCache.clear();
+    }
+    state.provider = provider;
+    state.profile = profile;
+    setStatus(state, "ready");
+  };
+
+  if (resolvedOptions.providerModule) {
+    // A URL cannot be posted to a worker, its string can
+    resolvedOptions.providerModule = String(resolvedOptions.providerModule);
+    if (!worker) {
+      const { default: createProvider } = await import(
+        resolvedOptions.providerModule
+      );
+      resolvedOptions.provider = await createProvider();
+    }
+  }
+  if (resolvedOptions.provider) {
+    validateProvider(resolvedOptions.provider);
+  }
+  const profile = resolveProfile(
+    resolvedOptions.profile,
+    resolvedOptions.provider
+      ? resolvedOptions.provider.id
+      : resolvedOptions.model,
+  );
+  if (resolvedOptions.provider) {
+    setProvider(resolvedOptions.provider, profile);
+    return;
+  }
+
+  state.files = new Map();
+  setStatus(state, "loading");
+  const local = resolvedOptions.offline || isLocalPath(resolvedOptions.model);
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const provider = await abortable(
+          worker
+            ? createWorkerProvider(
+                // The prefixes are added on this side, the worker only runs the model
+                {
+                  ...resolvedOptions,
+                  profile: { ...profile, queryPrefix: "", documentPrefix: "" },
+                },
+                reportProgress,
+                signal,
+              )
+            : // Get the pipeline instance. This will load and build the model when run for the first time.
+              state.pipelineLoader
+                .getInstance(resolvedOptions, reportProgress)
+                .then((extractor) =>
+                  createTransformersProvider(
+                    extractor,
+                    resolvedOptions.model,
+                    profile,
+                  ),
+                ),
+          signal,
+        );
+        setProvider(provider, profile);
+        return;
+      } catch (error) {
+        if (local || attempt >= retries || (signal && signal.aborted)) {
+          throw error;
+        }
+        await new Promise((resolve, reject) => {
+          const abort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+          };
+          const timer = setTimeout(
+            () => {
+              if (signal) {
+                signal.removeEventListener("abort", abort);
+              }
+              resolve();
+            },
+            retryDelay * 2 ** attempt,
+          );
+          if (signal) {
+            signal.addEventListener("abort", abort, { once: true });
+          }
+        });
+      }
+    }
+  } catch (error) {
+    if (signal && signal.aborted) {
+      setStatus(state, state.provider ? "ready" : "idle");
+      throw error;
+    }
+    // The worker reports its own "Unable to load Model" errors
+    const reason = worker
+      ? error
+      : local
+        ? new Error(
+            `Unable to load Model "${resolvedOptions.model}" from local files (the Hub was not contacted) due to ${error}`,
+          )
+        : new Error(`Unable to load Model due to ${error}`);
+    setStatus(state, "failed", reason);
+    throw reason;
+  }
+}
+
+/**
+ * Resolves the encoding profile of a model.
+ *
+ * Without `profile`, the first of {@link ENCODING_PROFILES} whose `match` accepts the model id is used, or {@link DEFAULT_ENCODING_PROFILE} if none does.
+ * A string picks a built-in profile by name, and an object overrides fields of the profile that would be used otherwise.
+ * `pooling` and `maxLength` only apply to transformers.js models; custom providers only get the prefixes.
+ *
+ * @function
+ * @param {?string|Object} profile - The `profile` option of `loadModel()`.
+ * @param {string} modelId - The model id or path, or the id of the custom provider.
+ * @throws {Error} If the profile name or a field is unknown, or a field has the wrong type.
+ * @returns {{queryPrefix: string, documentPrefix: string, pooling: string, maxLength: ?number}} The profile.
+ */
+
+function resolveProfile(profile, modelId) {
+  let base;
+  let overrides = {};
+  if (typeof profile === "string") {
+    base = ENCODING_PROFILES[profile];
+    if (!base) {
+      throw new Error(
+        `Unknown encoding profile "${profile}", use one of ${Object.keys(ENCODING_PROFILES).join(", ")} or an object`,
+      );
+    }
+  } else {
+    base =
+      Object.values(ENCODING_PROFILES).find(({ match }) =>
+        match.test(modelId),
+      ) || {};
+    overrides = profile || {};
+  }
+  const { match, ...resolved } = {
+    ...DEFAULT_ENCODING_PROFILE,
+    ...base,
+    ...overrides,
+  };
+
+  for (const field of Object.keys(resolved)) {
+    if (!(field in DEFAULT_ENCODING_PROFILE)) {
+      throw new Error(`Unknown encoding profile field "${field}"`);
+    }
+  }
+  if (
+    typeof resolved.queryPrefix !== "string" ||
+    typeof resolved.documentPrefix !== "string"
+  ) {
+    throw new Error("queryPrefix and documentPrefix must be strings");
+  }
+  if (!["mean", "cls"].includes(resolved.pooling)) {
+    throw new Error(
+      `Unsupported pooling "${resolved.pooling}", use mean or cls`,
+    );
+  }
+  if (
+    resolved.maxLength !== null &&
+    (!Number.isInteger(resolved.maxLength) || resolved.maxLength <= 0)
+  ) {
+    throw new Error("maxLength must be a positive integer or null");
+  }
+  return resolved;
+}
+
+/**
+ * Races a promise against an abort signal.
+ *
+ * @async
+ * @function
+ * @param {Promise} promise - The promise.
+ * @param {?AbortSignal} signal - The signal, if any.
+ * @returns {Promise} The result of `promise`, or a rejection with the reason of the signal if it aborts first.
+ */
+
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(signal.reason);
+    if (signal.aborted) {
+      abort();
+      return;
+    }
+    signal.addEventListener("abort", abort, { once: true });
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener("abort", abort);
+    });
+  });
+}
+
+/**
+ * Moves a finder to another model state and notifies the `state` listeners.
+ *
+ * `idle` (nothing loaded yet) → `loading` → `ready` or `failed`. A failed finder can load again.
+ *
+ * @function
+ * @param {FinderState} state - The finder.
+ * @param {string} status - The new state: `idle`, `loading`, `ready` or `failed`.
+ * @param {?Error} [error=null] - Why the load failed, for `failed`.
+ */
+
+function setStatus(state, status, error = null) {
+  const previous = state.status;
+  state.status = status;
+  state.error = error;
+  state.progress = snapshotProgress(state, state.progress);
+  for (const listener of state.listeners.state) {
+    listener({ state: status, previous, error });
+  }
+}
+
+/**
+ * Records a progress event of transformers.js and notifies the `progress` listeners.
+ *
+ * Every file of the model reports its own progress, and the bytes of the files seen so far are added up for the overall progress.
+ * transformers.js only requests the weights after reading the config, so the overall progress drops back when they start; the progress of every file only grows.
+ * Snapshots forwarded from a worker carry their `files` already.
+ *
+ * @function
+ * @param {FinderState} state - The finder.
+ * @param {Object} event - The progress event, e.g. `{ status: "progress", file, loaded, total }`.
+ */
+
+function trackProgress(state, event) {
+  if (event.files) {
+    state.files = new Map(event.files.map((file) => [file.file, file]));
+  } else if (event.file) {
+    const file = state.files.get(event.file) || {
+      file: event.file,
+      status: event.status,
+      loaded: 0,
+      total: 0,
+    };
+    file.status = event.status;
+    if (event.status === "progress") {
+      file.loaded = event.loaded;
+      file.total = event.total;
+    } else if (event.status === "done") {
+      file.loaded = file.total;
+    }
+    state.files.set(event.file, file);
+  }
+  state.progress = snapshotProgress(state, event);
+  for (const listener of state.listeners.progress) {
+    listener(state.progress);
+  }
+}
+
+/**
+ * Builds the progress snapshot returned by `getProgress()`.
+ *
+ * @function
+ * @param {FinderState} state - The finder.
+ * @param {?Object} event - The last progress event, whose `status`, `name` and `file` are kept.
+ * @returns {{state: string, error: ?string, status: ?string, name: ?string, file: ?string, loaded: number, total: number, progress: number, files: Array<{file: string, status: string, loaded: number, total: number, progress: number}>}} The snapshot.
+ */
+
+function snapshotProgress(state, event) {
+  const files = [...state.files.values()].map((file) => ({
+    ...file,
+    progress:
+      file.status === "done"
+        ? 100
+        : file.total > 0
+          ? (file.loaded / file.total) * 100
+          : 0,
+  }));
+  const loaded = files.reduce((sum, file) => sum + file.loaded, 0);
+  const total = files.reduce((sum, file) => sum + file.total, 0);
+  return {
+    state: state.status,
+    error: state.error ? state.error.message : null,
+    status: event ? event.status : null,
+    name: event ? event.name : null,
+    file: event ? event.file : null,
+    loaded,
+    total,
+    progress:
+      state.status === "ready" ? 100 : total > 0 ? (loaded / total) * 100 : 0,
+    files,
+  };
+}
+
+/**
+ * Asynchronously loads the reranker used by the `rerank` option of searches.
+ *
+ * The reranker is a cross-encoder run through a transformers.js text-classification pipeline. It is loaded separately
+ * from the embedding model, and always runs on the main thread. Calling it again with different options replaces the loaded reranker.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Object} [options] - The reranker options, all optional.
+ * @param {string} [options.model="Xenova/ms-marco-MiniLM-L-6-v2"] - A Hub model id, or a path (`/`, `./`, `../`) to a local model directory.
+ * @param {string} [options.revision="main"] - The model revision to load.
+ * @param {boolean} [options.quantized=true] - Whether to load the quantized weights.
+ * @param {?string} [options.cacheDir=null] - Directory used to cache downloaded files.
+ * @param {?string} [options.localModelPath=null] - A directory holding models by id, checked before the Hub.
+ * @param {boolean} [options.offline=false] - Fail instead of contacting the Hub when the model is not available locally.
+ * @param {function(Object): void} [options.onProgress] - Called with every progress event of transformers.js while the reranker loads.
+ * @param {Reranker} [options.provider] - A custom reranker used instead of a transformers.js model. Other options are ignored.
+ * @throws {Error} If the reranker cannot be loaded, or the custom reranker is invalid.
+ *
+ * @example
+ * await loadReranker({ model: "Xenova/bge-reranker-base" });
+ */
+
+async function loadReranker(state, options = {}) {
+  const { onProgress = null, ...resolvedOptions } = {
+    ...DEFAULT_RERANKER_OPTIONS,
+    ...options,
+  };
+
+  if (resolvedOptions.provider) {
+    validateReranker(resolvedOptions.provider);
+    state.reranker = resolvedOptions.provider;
+    return;
+  }
+
+  try {
+    const classifier = await state.rerankerLoader.getInstance(
+      resolvedOptions,
+      onProgress,
+    );
+    state.reranker = createTransformersReranker(
+      classifier,
+      resolvedOptions.model,
+    );
+  } catch (error) {
+    throw new Error(`Unable to load the reranker due to ${error}`);
+  }
+}
+
+/**
+ * Throws an error indicating that the model has not been loaded.
+ *
+ *
+ * @function
+ * @throws {Error} Always throws an error indicating that the model has not been loaded.
+ */
+
+function modelNotLoadedErrorMessage() {
+  throw new Error("Model has not been loaded, use vagueFinder.loadModel()");
+}
+
+/**
+ * Asynchronously classifies the similarity between two sentences.
+ *
+ * This function takes two sentences and their respective embeddings and cache flags as input.
+ * It calculates the embeddings for the sentences if they are not cached.
+ * Then, it calculates the cosine similarity between the two embeddings.
+ * It returns an object containing the two sentences, their similarity score, and the embedding of the first sentence.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} sentenceOne - The first sentence to be compared.
+ * @param {string} sentenceTwo - The second sentence to be compared.
+ * @param {ArrayLike<number>} embedding1Cache - The cached embedding for the first sentence.
+ * @param {boolean} doesCache1Exist - Flag indicating whether the embedding for the first sentence is cached.
+ * @param {ArrayLike<number>} embedding2Cache - The cached embedding for the second sentence.
+ * @param {boolean} doesCache2Exist - Flag indicating whether the embedding for the second sentence is cached.
+ * @throws {Error} If the model is not loaded, an error is thrown.
+ * @returns {Promise<{sentenceOne: string, sentenceTwo: string, alike: number, embedding1Cache: Float32Array}>} A Promise that resolves to an object containing the two sentences, their similarity score, and the embedding of the first sentence.
+ *
+ * @example
+ * try {
+ *   const result = await classify(sentence1, sentence2, embedding1Cache, true, embedding2Cache, false);
+ *   console.log(result);
+ * } catch (error) {
+ *   console.error(error);
+ * }
+ */
+
+const classify = async (
+  state,
+  sentenceOne,
+  sentenceTwo,
+  embedding1Cache,
+  doesCache1Exist,
+  embedding2Cache,
+  doesCache2Exist,
+) => {
+  if (!doesCache2Exist && !state.provider) {
+    modelNotLoadedErrorMessage();
+    return;
+  }
+
+  let embedding1 = null;
+  let embedding2 = null;
+
+  if (doesCache1Exist) {
+    embedding1 = embedding1Cache;
+  } else {
+    [embedding1] = await embedTexts(state, [sentenceOne], null, "query");
+  }
+
+  if (doesCache2Exist) {
+    embedding2 = embedding2Cache;
+  } else {
+    [embedding2] = await embedTexts(state, [sentenceTwo]);
+  }
+
+  const similarity = dotProduct(embedding1, embedding2);
+
+  let result = similarity;
+
+  return {
+    sentenceOne: sentenceOne,
+    sentenceTwo: sentenceTwo,
+    alike: result,
+    embedding1Cache: embedding1,
+  };
+};
+
+/**
+ * Resolves the `keys` option of object searches into dot paths with weights.
+ *
+ * @function
+ * @param {Array<string|{name: string, weight?: number}>} keys - Dot paths such as `title` or `author.name`, optionally with a weight (default `1`).
+ * @throws {Error} If `keys` is empty, or a key has no name or a weight that is not positive.
+ * @returns {Array<{name: string, path: Array<string>, weight: number}>} The resolved keys.
+ */
+
+function resolveKeys(keys) {
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new Error("keys must be a non-empty array");
+  }
+  return keys.map((key) => {
+    const { name, weight = 1 } = typeof key === "string" ? { name: key } : key;
+    if (typeof name !== "string" || name === "") {
+      throw new Error(
+        "Each key must be a dot path or an object with a name property",
+      );
+    }
+    if (!(weight > 0)) {
+      throw new Error(`The weight of the key "${name}" must be positive`);
+    }
+    return { name, path: name.split("."), weight };
+  });
+}
+
+/**
+ * Reads the text of a field of an object. Arrays, such as tags, are joined with commas.
+ *
+ * @function
+ * @param {Object} object - The object.
+ * @param {Array<string>} path - The path of the field.
+ * @returns {?string} The text, or `null` if the field is missing or empty.
+ */
+
+function getFieldText(object, path) {
+  let value = object;
+  for (
+    let i = 0;
+    i < path.length && value !== null && value !== undefined;
+    i++
+  ) {
+    value = value[path[i]];
+  }
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    value = value
+      .filter((part) => part !== null && part !== undefined)
+      .join(", ");
+  }
+  const text = String(value);
+  return text === "" ? null : text;
+}
+
+/**
+ * Asynchronously embeds the fields of objects. Every distinct text is embedded once.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Array<Object>} objects - The objects.
+ * @param {Object} options - The `keys` to embed, and batching options.
+ * @returns {Promise<Array<{item: Object, embeddings: Object<string, ?Float32Array>}>>} One cached object per object, with the embedding of every key (`null` for missing fields).
+ */
+
+async function getCachedObjects(state, objects, options) {
+  const keys = resolveKeys(options.keys);
+  const texts = [];
+  const positions = new Map();
+  const fieldTexts = objects.map((object) =>
+    keys.map((key) => {
+      const text = getFieldText(object, key.path);
+      if (text !== null && !positions.has(text)) {
+        positions.set(text, texts.length);
+        texts.push(text);
+      }
+      return text;
+    }),
+  );
+  const embeddings = await embedInBatches(state, texts, options);
+
+  return objects.map((object, i) => {
+    const fields = {};
+    for (let j = 0; j < keys.length; j++) {
+      const text = fieldTexts[i][j];
+      fields[keys[j].name] =
+        text === null ? null : embeddings[positions.get(text)];
+    }
+    return { item: object, embeddings: fields };
+  });
+}
+
+/**
+ * Checks that every item of a cached object array has an `item` and `embeddings`.
+ *
+ * @function
+ * @param {Array<{item: Object, embeddings: Object}>} cachedArray - The cached objects to check.
+ * @throws {Error} If an item has no `item` or no `embeddings`.
+ */
+
+function validateCachedObjects(cachedArray) {
+  for (let i = 0; i < cachedArray.length; i++) {
+    if (!cachedArray[i].item || !cachedArray[i].embeddings) {
+      throw new Error(
+        "Each item in the cachedArray must have item and embeddings properties, use getCached(array, { keys })",
+      );
+    }
+  }
+}
+
+/**
+ * Tells whether an item of an object corpus is a cached object from `getCached(array, { keys })`.
+ *
+ * @function
+ * @param {Object} entry - The item.
+ * @returns {boolean} Whether the item is cached.
+ */
+
+function isCachedObject(entry) {
+  return Boolean(entry.item && entry.embeddings);
+}
+
+/**
+ * Asynchronously compares a sentence to an array of objects, field by field.
+ *
+ * The score of an object is the weighted mean of the scores of its fields; missing fields are left out of the mean,
+ * and an object without any of the fields scores 0.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} sentence - The sentence to be compared.
+ * @param {Float32Array} embedding1 - The embedding of the sentence.
+ * @param {Array<Object>} array - The objects, cached objects from `getCached(array, { keys })`, or both.
+ * @param {Object} options - The `keys` to compare, batching options and `includeEmbeddings`.
+ * @returns {Promise<{sentenceOne: string, array: Array<{item: Object, alike: number, fieldScores: Object<string, ?number>}>}>} The objects, in the input order, with their combined and per-field scores.
+ */
+
+async function compareSentenceToObjects(
+  state,
+  sentence,
+  embedding1,
+  array,
+  options,
+) {
+  const keys = resolveKeys(options.keys);
+  if (options.filter) {
+    const matches = compileFilter(options.filter);
+    array = array.filter((entry) => {
+      const object = isCachedObject(entry) ? entry.item : entry;
+      return matches(object, object);
+    });
+  }
+  const embedded = await getCachedObjects(
+    state,
+    array.filter((entry) => !isCachedObject(entry)),
+    options,
+  );
+  let next = 0;
+  const cachedArray = array.map((entry) =>
+    isCachedObject(entry) ? entry : embedded[next++],
+  );
+
+  return {
+    sentenceOne: sentence,
+    array: cachedArray.map(({ item, embeddings }) => {
+      const fieldScores = {};
+      let total = 0;
+      let weights = 0;
+      for (const { name, weight } of keys) {
+        const embedding = embeddings[name];
+        fieldScores[name] = embedding
+          ? dotProduct(embedding1, embedding)
+          : null;
+        if (embedding) {
+          total += weight * fieldScores[name];
+          weights += weight;
+        }
+      }
+      const result = {
+        item,
+        alike: weights ? total / weights : 0,
+        fieldScores,
+      };
+      if (options.includeEmbeddings) {
+        result.embeddings = embeddings;
+      }
+      return result;
+    }),
+  };
+}
+
+/**
+ * Splits a text into lowercase word tokens. Tokens joined by `-`, `_`, `.` or `/`, such as `SKU-4411`, are kept whole
+ * and also split into their parts.
+ *
+ * @function
+ * @param {string} text - The text.
+ * @returns {Array<string>} The tokens, in order and with repetitions.
+ */
+
+function tokenize(text) {
+  const tokens = [];
+  for (const [token] of text
+    .toLowerCase()
+    .matchAll(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu)) {
+    tokens.push(token);
+    if (/[-_./]/.test(token)) {
+      tokens.push(...token.split(/[-_./]/));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Calculates the Levenshtein distance between two strings, giving up once it exceeds `maxDistance`.
+ *
+ * @function
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @param {number} maxDistance - The largest distance of interest.
+ * @returns {number} The distance, or `maxDistance + 1` if it is larger than `maxDistance`.
+ */
+
+function boundedLevenshtein(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+    if (rowMinimum > maxDistance) {
+      return maxDistance + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Class representing a BM25 index over a fixed list of texts, with optional typo-tolerant term matching.
+ */
+class LexicalIndex {
+  postings = new Map();
+  lengths = [];
+  averageLength = 0;
+
+  /**
+   * Create a LexicalIndex.
+   * @param {Array<string>} texts - The texts to index.
+   * @param {Object} [options] - BM25 parameters.
+   * @param {number} [options.k1=1.2] - Term frequency saturation.
+   * @param {number} [options.b=0.75] - Document length normalization.
+   */
+  constructor(texts, { k1 = 1.2, b = 0.75 } = {}) {
+    this.texts = texts;
+    this.k1 = k1;
+    this.b = b;
+    let totalLength = 0;
+    for (let doc = 0; doc < texts.length; doc++) {
+      const tokens = tokenize(texts[doc]);
+      this.lengths[doc] = tokens.length;
+      totalLength += tokens.length;
+      for (const token of tokens) {
+        if (!this.postings.has(token)) {
+          this.postings.set(token, new Map());
+        }
+        const postings = this.postings.get(token);
+        postings.set(doc, (postings.get(doc) || 0) + 1);
+      }
+    }
+    this.averageLength = texts.length ? totalLength / texts.length : 0;
+  }
+
+  /**
+   * Find the indexed terms matching a query term, with a weight of 1 for the term itself and less for near misses.
+   * Terms of 3 characters or less only match exactly; longer terms allow 1 edit, and terms of 8 characters or more allow 2.
+   * Terms with digits, such as SKUs, only match terms with the same digits, so `sku4411` matches `sku-4411` but not `sku-4412`.
+   * @param {string} term - The query term.
+   * @param {boolean} fuzzy - Whether near misses match.
+   * @return {Array<[string, number]>} The matching terms and their weights.
+   * @private
+   */
+  _matchTerm(term, fuzzy) {
+    const matches = this.postings.has(term) ? [[term, 1]] : [];
+    if (!fuzzy || term.length <= 3) {
+      return matches;
+    }
+    const maxDistance = term.length >= 8 ? 2 : 1;
+    const digits = term.replace(/\D/g, "");
+    for (const candidate of this.postings.keys()) {
+      if (
+        candidate === term ||
+        candidate.length <= 3 ||
+        candidate.replace(/\D/g, "") !== digits
+      ) {
+        continue;
+      }
+      const distance = boundedLevenshtein(term, candidate, maxDistance);
+      if (distance <= maxDistance) {
+        matches.push([
+          candidate,
+          1 - distance / Math.max(term.length, candidate.length),
+        ]);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Score every indexed text against a query.
+   * @param {string} query - The query.
+   * @param {boolean} [fuzzy=true] - Whether query terms also match indexed terms with small typos.
+   * @return {Float64Array} The BM25 score of every text, in index order.
+   */
+  score(query, fuzzy = true) {
+    const scores = new Float64Array(this.texts.length);
+    const count = this.texts.length;
+    for (const term of new Set(tokenize(query))) {
+      const frequencies = new Map();
+      for (const [match, weight] of this._matchTerm(term, fuzzy)) {
+        for (const [doc, frequency] of this.postings.get(match)) {
+          frequencies.set(
+            doc,
+            (frequencies.get(doc) || 0) + weight * frequency,
+          );
+        }
+      }
+      const idf = Math.log(
+        1 + (count - frequencies.size + 0.5) / (frequencies.size + 0.5),
+      );
+      for (const [doc, frequency] of frequencies) {
+        const lengthRatio = this.lengths[doc] / (this.averageLength || 1);
+        scores[doc] +=
+          (idf * frequency * (this.k1 + 1)) /
+          (frequency + this.k1 * (1 - this.b + this.b * lengthRatio));
+      }
+    }
+    return scores;
+  }
+}
+
+/**
+ * Lexical indexes of the arrays searched in hybrid mode, so repeated searches over the same array do not re-tokenize it.
+ *
+ * @type {WeakMap<Array, LexicalIndex>}
+ */
+const lexicalIndexes = new WeakMap();
+
+/**
+ * Gets the lexical index of an array, building it unless the array was indexed before and has not changed since.
+ *
+ * @function
+ * @param {Array} array - The searched array, used as the cache key.
+ * @param {Array<string>} sentences - The texts of the array.
+ * @returns {LexicalIndex} The index.
+ */
+
+function getLexicalIndex(array, sentences) {
+  const cached = lexicalIndexes.get(array);
+  if (
+    cached &&
+    cached.texts.length === sentences.length &&
+    cached.texts.every((text, i) => text === sentences[i])
+  ) {
+    return cached;
+  }
+  const index = new LexicalIndex(sentences);
+  lexicalIndexes.set(array, index);
+  return index;
+}
+
+/**
+ * Blends semantic and lexical scores into one ranking score.
+ *
+ * Lexical scores are first scaled to [0, 1] by the best one. With the `weighted` method the result is
+ * `weight * semantic + (1 - weight) * lexical`; with `rrf` (reciprocal rank fusion) it is the sum of `1 / (rrfK + rank)` over
+ * both rankings, where items without any lexical match only get the semantic term.
+ *
+ * @function
+ * @param {Float64Array} semantic - The semantic scores.
+ * @param {Float64Array} lexical - The raw lexical scores, scaled in place.
+ * @param {{method: string, weight: number, rrfK: number}} options - The hybrid options.
+ * @throws {Error} If the method is unknown.
+ * @returns {Float64Array} The blended scores.
+ */
+
+function blendScores(semantic, lexical, { method, weight, rrfK }) {
+  const best = lexical.reduce((max, score) => Math.max(max, score), 0);
+  for (let i = 0; i < lexical.length; i++) {
+    lexical[i] = best > 0 ? lexical[i] / best : 0;
+  }
+
+  const blended = new Float64Array(semantic.length);
+  if (method === "weighted") {
+    for (let i = 0; i < blended.length; i++) {
+      blended[i] = weight * semantic[i] + (1 - weight) * lexical[i];
+    }
+    return blended;
+  }
+  if (method !== "rrf") {
+    throw new Error(
+      `Unknown hybrid method "${method}", use "weighted" or "rrf"`,
+    );
+  }
+
+  const addRanks = (scores, include) => {
+    const order = [...scores.keys()]
+      .filter(include)
+      .sort((a, b) => scores[b] - scores[a]);
+    for (let rank = 0; rank < order.length; rank++) {
+      blended[order[rank]] += 1 / (rrfK + rank + 1);
+    }
+  };
+  addRanks(semantic, () => true);
+  addRanks(lexical, (i) => lexical[i] > 0);
+  return blended;
+}
+
+/**
+ * Resolves the `chunking` option of a search against {@link DEFAULT_CHUNKING_OPTIONS}.
+ *
+ * @function
+ * @param {boolean|Object} chunking - `true` for the default options, or the options to override.
+ * @throws {Error} If an option has an unsupported value.
+ * @returns {{by: string, maxTokens: number, overlap: number, aggregate: string, topN: number}} The chunking options.
+ */
+
+function resolveChunking(chunking) {
+  const resolved = {
+    ...DEFAULT_CHUNKING_OPTIONS,
+    ...(chunking === true ? {} : chunking),
+  };
+  if (resolved.by !== "sentence" && resolved.by !== "paragraph") {
+    throw new Error(`Unsupported chunking "${resolved.by}"`);
+  }
+  if (!Number.isInteger(resolved.maxTokens) || resolved.maxTokens <= 0) {
+    throw new Error("maxTokens must be a positive integer");
+  }
+  if (!Number.isInteger(resolved.overlap) || resolved.overlap < 0) {
+    throw new Error("overlap must be a non-negative integer");
+  }
+  if (!["max", "mean", "top-n"].includes(resolved.aggregate)) {
+    throw new Error(`Unsupported aggregate "${resolved.aggregate}"`);
+  }
+  if (!Number.isInteger(resolved.topN) || resolved.topN <= 0) {
+    throw new Error("topN must be a positive integer");
+  }
+  return resolved;
+}
+
+/**
+ * Estimates the number of tokens of a text from its words, for providers without `countTokens`.
+ * Word-piece tokenizers produce about four tokens for every three English words.
+ *
+ * @function
+ * @param {string} text - The text.
+ * @returns {number} The estimated number of tokens.
+ */
+
+function estimateTokens(text) {
+  const words = text.match(/\S+/g);
+  return words ? Math.ceil((words.length * 4) / 3) : 0;
+}
+
+/**
+ * Splits a text into sentences or paragraphs, with their character offsets and token counts.
+ * Units longer than `maxTokens` are split further between words, so that every unit fits into a passage.
+ *
+ * @function
+ * @param {string} text - The text to split.
+ * @param {string} by - `sentence` or `paragraph`.
+ * @param {number} maxTokens - The token budget of a passage.
+ * @param {function(string): number} countTokens - Counts the tokens of a text.
+ * @returns {Array<{start: number, end: number, tokens: number}>} The units, in order.
+ */
+
+function splitUnits(text, by, maxTokens, countTokens) {
+  // A sentence ends at a newline or at punctuation followed by whitespace, so "3.5" or "e.g.," stay whole
+  const pattern =
+    by === "paragraph"
+      ? /\S[\s\S]*?(?=\n\s*\n|\s*$)/g
+      : /\S(?:[^.!?\n]|[.!?](?!\s|$))*(?:[.!?]+|(?=\n)|$)/g;
+  const units = [];
+  for (const match of text.matchAll(pattern)) {
+    const start = match.index;
+    const tokens = countTokens(match[0]);
+    if (tokens <= maxTokens) {
+      units.push({ start, end: start + match[0].length, tokens });
+      continue;
+    }
+    const words = [...match[0].matchAll(/\S+/g)];
+    const wordsPerUnit = Math.max(
+      1,
+      Math.floor((words.length * maxTokens) / tokens),
+    );
+    for (let i = 0; i < words.length; i += wordsPerUnit) {
+      const last = words[Math.min(i + wordsPerUnit, words.length) - 1];
+      const unitStart = start + words[i].index;
+      const unitEnd = start + last.index + last[0].length;
+      units.push({
+        start: unitStart,
+        end: unitEnd,
+        tokens: countTokens(text.slice(unitStart, unitEnd)),
+      });
+    }
+  }
+  return units;
+}
+
+/**
+ * Splits a long text into passages that fit the token budget of the model.
+ *
+ * Consecutive sentences (or paragraphs) are packed into a passage until the next one would exceed `maxTokens`.
+ * The next passage starts `overlap` units before the end of the previous one, so a match spanning the border is not lost.
+ *
+ * @function
+ * @param {string} text - The text to split.
+ * @param {{by: string, maxTokens: number, overlap: number}} chunking - The resolved chunking options.
+ * @param {function(string): number} countTokens - Counts the tokens of a text.
+ * @returns {Array<{start: number, end: number}>} The character offsets of the passages. A text without words is one passage.
+ */
+
+function chunkText(text, chunking, countTokens) {
+  const units = splitUnits(text, chunking.by, chunking.maxTokens, countTokens);
+  if (units.length === 0) {
+    return [{ start: 0, end: text.length }];
+  }
+  const passages = [];
+  let first = 0;
+  while (first < units.length) {
+    let last = first;
+    let tokens = units[first].tokens;
+    while (
+      last + 1 < units.length &&
+      tokens + units[last + 1].tokens <= chunking.maxTokens
+    ) {
+      last++;
+      tokens += units[last].tokens;
+    }
+    passages.push({ start: units[first].start, end: units[last].end });
+    if (last + 1 === units.length) {
+      break;
+    }
+    first = Math.max(first + 1, last + 1 - chunking.overlap);
+  }
+  return passages;
+}
+
+/**
+ * Chunks texts and embeds all of their passages in batches.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder whose provider is used.
+ * @param {Array<string>} texts - The texts to chunk.
+ * @param {{by: string, maxTokens: number, overlap: number}} chunking - The resolved chunking options.
+ * @param {Object} [options] - Batching options, see {@link embedInBatches}. `onBatch` counts passages, not texts.
+ * @returns {Promise<Array<Array<{start: number, end: number, embedding: Float32Array}>>>} The passages of every text. Their embeddings are rows of one contiguous `Float32Array`.
+ */
+
+async function embedPassages(state, texts, chunking, options) {
+  const countTokens = state.provider.countTokens
+    ? (text) => state.provider.countTokens(text)
+    : estimateTokens;
+  const chunks = texts.map((text) => chunkText(text, chunking, countTokens));
+  const passageTexts = chunks.flatMap((passages, i) =>
+    passages.map(({ start, end }) => texts[i].slice(start, end)),
+  );
+  const { matrix, dimension } = toMatrix(
+    await embedInBatches(state, passageTexts, options),
+  );
+  let row = 0;
+  return chunks.map((passages) =>
+    passages.map(({ start, end }) => ({
+      start,
+      end,
+      embedding: matrix.subarray(row * dimension, ++row * dimension),
+    })),
+  );
+}
+
+/**
+ * Scores the passages of every item and aggregates them into the score of the item.
+ *
+ * `max` scores an item by its best passage, `mean` by the average of its passages and `top-n` by the average of its `topN` best passages.
+ * Items that are not cached are chunked and embedded; cached items without `passages` count as a single passage spanning their whole text.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Float32Array} embedding - The embedding of the query.
+ * @param {Array<Object|string>} array - The items to score.
+ * @param {Array<string>} sentences - The text of every item.
+ * @param {{by: string, maxTokens: number, overlap: number, aggregate: string, topN: number}} chunking - The resolved chunking options.
+ * @param {Object} [options] - Batching options, see {@link embedInBatches}. With `includeEmbeddings`, the best passages also carry their `embedding`.
+ * @returns {Promise<{scores: Float64Array, passages: Array<{text: string, start: number, end: number, alike: number}>}>} The score and the best passage of every item.
+ */
+
+async function scorePassages(
+  state,
+  embedding,
+  array,
+  sentences,
+  chunking,
+  options,
+) {
+  const uncached = [];
+  const chunks = array.map((item, i) => {
+    if (!isCachedEntry(item)) {
+      uncached.push(i);
+      return null;
+    }
+    return (
+      item.passages || [
+        { start: 0, end: sentences[i].length, embedding: item.embedding },
+      ]
+    );
+  });
+  const embedded = await embedPassages(
+    state,
+    uncached.map((i) => sentences[i]),
+    chunking,
+    options,
+  );
+  uncached.forEach((i, j) => {
+    chunks[i] = embedded[j];
+  });
+  const passageScores = scoreEmbeddings(
+    embedding,
+    chunks.flatMap((passages) => passages.map((passage) => passage.embedding)),
+  );
+
+  const scores = new Float64Array(array.length);
+  const best = [];
+  let offset = 0;
+  for (let i = 0; i < chunks.length; i++) {
+    const itemScores = passageScores.subarray(
+      offset,
+      offset + chunks[i].length,
+    );
+    offset += chunks[i].length;
+    let top = 0;
+    for (let j = 1; j < itemScores.length; j++) {
+      if (itemScores[j] > itemScores[top]) {
+        top = j;
+      }
+    }
+    if (chunking.aggregate === "max") {
+      scores[i] = itemScores[top];
+    } else {
+      const counted =
+        chunking.aggregate === "mean"
+          ? itemScores
+          : Float64Array.from(itemScores)
+              .sort()
+              .reverse()
+              .subarray(0, chunking.topN);
+      scores[i] =
+        counted.reduce((sum, score) => sum + score, 0) / counted.length;
+    }
+    const { start, end } = chunks[i][top];
+    best.push({
+      text: sentences[i].slice(start, end),
+      start,
+      end,
+      alike: itemScores[top],
+    });
+    if (options.includeEmbeddings) {
+      best[i].embedding = chunks[i][top].embedding;
+    }
+  }
+  return { scores, passages: best };
+}
+
+/**
+ * Asynchronously compares a sentence to an array of sentences, which may be cached or not.
+ *
+ * Items with an `embedding` (or `passages`, see {@link scorePassages}) are scored with it, all other items are embedded in batches of `options.batchSize`.
+ * With `options.filter`, only items whose `metadata` matches the filter are compared (see {@link compileFilter}); the `metadata` of items is passed on to their results.
+ * With `options.hybrid`, the similarity is blended with a lexical score (see {@link LexicalIndex} and {@link blendScores}).
+ * With `options.chunking`, long sentences are split into passages that are scored separately (see {@link chunkText} and {@link scorePassages});
+ * items cached with `chunking` are always scored by passage. Results then also carry their best `passage` with its character offsets.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} sentence - The sentence to be compared.
+ * @param {Float32Array} embedding1 - The embedding of the sentence.
+ * @param {Array<string|Object>} array - The sentences, as strings, `{sentenceTwo, metadata}` objects or cached items.
+ * @param {Object} options - The options of {@link search}.
+ * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} The sentences that passed the filter, in the input order, with their scores.
+ */
+
+async function compareSentenceToSentences(
+  state,
+  sentence,
+  embedding1,
+  array,
+  options,
+) {
+  const original = array;
+  array = [...applyFilter(array, options.filter)]; //Creating a copy, so that we don't alter the original;
+  const sentences = array.map((item) =>
+    item.sentenceTwo ? item.sentenceTwo : item,
+  );
+  let scores;
+  let embeddings = null;
+  let passages = null;
+  const quantized = array.some((item) => item.quantized);
+  if (
+    array.some((item) => item.quantized && !item.embedding) &&
+    (options.chunking ||
+      options.includeEmbeddings ||
+      array.some((item) => item.passages))
+  ) {
+    throw new Error(
+      "Quantized items without full-precision embeddings cannot be searched with chunked items or the chunking, includeEmbeddings or mmr options, cache them with keepEmbeddings: true",
+    );
+  }
+  if (options.chunking || array.some((item) => item.passages)) {
+    ({ scores, passages } = await scorePassages(
+      state,
+      embedding1,
+      array,
+      sentences,
+      resolveChunking(options.chunking || true),
+      options,
+    ));
+  } else {
+    const uncached = [];
+    embeddings = array.map((item, i) => {
+      if (isCachedEntry(item)) {
+        return item.embedding || null;
+      }
+      uncached.push(i);
+      return null;
+    });
+    const embedded = await embedInBatches(
+      state,
+      uncached.map((i) => sentences[i]),
+      options,
+    );
+    uncached.forEach((i, j) => {
+      embeddings[i] = embedded[j];
+    });
+    if (quantized) {
+      const scoreQuantized = createQuantizedScorer(embedding1);
+      scores = Float64Array.from(array, (item, i) =>
+        item.quantized
+          ? scoreQuantized(item)
+          : dotProduct(embedding1, embeddings[i]),
+      );
+    } else {
+      scores = scoreEmbeddings(embedding1, embeddings);
+    }
+  }
+
+  let lexical = null;
+  let blended = scores;
+  if (options.hybrid) {
+    const hybrid = {
+      ...DEFAULT_HYBRID_OPTIONS,
+      ...(options.hybrid === true ? {} : options.hybrid),
+    };
+    // The corpus statistics come from the whole array, so filtering does not change the lexical scores
+    const index = getLexicalIndex(
+      original,
+      original.map((item) => (item.sentenceTwo ? item.sentenceTwo : item)),
+    );
+    const allLexical = index.score(sentence, hybrid.fuzzy);
+    const positions = new Map(original.map((item, i) => [item, i]));
+    lexical = Float64Array.from(
+      array,
+      (item) => allLexical[positions.get(item)],
+    );
+    blended = blendScores(scores, lexical, hybrid);
+  }
+
+  for (let i = 0; i < array.length; i++) {
+    const { metadata } = array[i];
+    array[i] = { sentenceTwo: sentences[i], alike: blended[i] };
+    if (lexical) {
+      array[i].semantic = scores[i];
+      array[i].lexical = lexical[i];
+    }
+    if (passages) {
+      array[i].passage = passages[i];
+    }
+    if (embeddings && options.includeEmbeddings) {
+      array[i].embedding = embeddings[i];
+    }
+    if (metadata !== undefined) {
+      array[i].metadata = metadata;
+    }
+  }
+
+  return {
+    sentenceOne: sentence,
+    array: array,
+  };
+}
+
+/**
+ * Asynchronously searches a corpus for the items most similar to a query.
+ *
+ * This is the function every comparison goes through. The corpus may hold raw sentences, cached items from `getCached`, or both:
+ * cached items are scored with their stored embeddings and only the others are embedded, in batches of `options.batchSize`.
+ * With `options.keys`, the corpus holds objects (or cached objects) instead, which are compared field by field (see {@link compareSentenceToObjects}).
+ * Results below `minScore` are dropped, then the `topK` best are kept and sorted by `order`, or picked by Maximal Marginal Relevance with `mmr`.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} query - The sentence to search for.
+ * @param {Array<string|Object>} corpus - The sentences to search: strings, `{sentenceTwo, metadata}` objects or cached items, mixed freely.
+ * @param {Object} [options] - Search, batching and object options.
+ * @param {number} [options.topK] - Only return the `topK` most similar items. By default every item is returned.
+ * @param {number} [options.minScore] - Drop items whose `alike` is below this score.
+ * @param {string} [options.order="desc"] - Sort the results by descending (`desc`) or ascending (`asc`) `alike`, or keep the order of the corpus (`none`).
+ * @param {boolean|{lambda?: number, candidates?: number}} [options.mmr] - Rerank the results with Maximal Marginal Relevance (see {@link rerankMmr}), trading relevance (`lambda`, default 0.5, between 0 and 1) against similarity to the results ranked above.
+ * `candidates` limits the reranked pool to the most relevant results (default: all). Results keep their relevance as `alike` and report their marginal relevance as `mmr`, in the reranked order.
+ * @param {boolean|{candidates?: number}} [options.rescore] - Score the `candidates` best results (default 40, at least `topK`) again with full-precision embeddings.
+ * For items cached with the `quantize` option of `getCached`; ignored if no item is quantized. The candidates are embedded again, unless they were cached with `keepEmbeddings`. Results then report their full-precision score as `alike` and the quantized one as `approximate`. Only rescored candidates are returned.
+ * @param {boolean|{candidates?: number, batchSize?: number}} [options.rerank] - Rescore the `candidates` most similar results (default 20, at least `topK`) with the reranker loaded by `loadReranker()`, `batchSize` pairs at a time (default 16).
+ * Results keep their first-stage score as `alike`, report the reranker score as `rerank`, and are ordered by it. Only reranked candidates are returned.
+ * @param {boolean} [options.includeEmbeddings=false] - Add the `embedding` of every item to its result (the `embeddings` of its fields with `keys`, the `embedding` of its best passage with `chunking`).
+ * @param {number} [options.batchSize=32] - The number of sentences embedded at once.
+ * @param {function({batch: number, batches: number, done: number, total: number}): void} [options.onBatch] - Called after every embedded batch.
+ * @param {Array<string|{name: string, weight?: number}>} [options.keys] - Compare objects by these fields (dot paths, optionally weighted) instead of sentences.
+ * @param {function(Object, Object): boolean|Object} [options.filter] - Only compare items whose `metadata` matches this filter. For objects, the filter is applied to the object itself.
+ * @param {boolean|{method?: string, weight?: number, rrfK?: number, fuzzy?: boolean}} [options.hybrid] - Blend the semantic score with a lexical BM25 score, which catches exact identifiers and typos. `method` is `weighted` (default, `weight` is the share of the semantic score, default 0.5) or `rrf` (reciprocal rank fusion with constant `rrfK`, default 60); `fuzzy` (default `true`) lets query terms match terms with small typos. Results then also report their `semantic` and `lexical` scores.
+ * @param {boolean|{by?: string, maxTokens?: number, overlap?: number, aggregate?: string, topN?: number}} [options.chunking] - Split long sentences into passages of at most `maxTokens` tokens (default 256), made of whole sentences or paragraphs (`by`, default `sentence`), where consecutive passages share `overlap` units (default 1).
+ * The passage scores are aggregated into the score of the sentence by `aggregate`: `max` (default), `mean`, or `top-n` (the mean of the `topN` best passages, default 3). For cached items, only `aggregate` and `topN` apply.
+ * @throws {Error} If the model is not loaded, or `topK`, `minScore` or `order` is invalid.
+ * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A Promise that resolves to an object containing the query and the matching items with their similarity scores.
+ *
+ * @example
+ * try {
+ *   const cached = await getCached(articles);
+ *   const result = await search("reset my password", [...cached, "A sentence added later"], { topK: 5, minScore: 0.7 });
+ *   console.log(result);
+ * } catch (error) {
+ *   console.error(error);
+ * }
+ */
+
+async function search(state, query, corpus, options = {}) {
+  if (!state.provider) {
+    modelNotLoadedErrorMessage();
+    return;
+  }
+  validateSearchOptions(options);
+  const [embedding] = await embedTexts(state, [query], options.signal, "query");
+
+  return searchWithEmbedding(state, query, embedding, corpus, options);
+}
+
+/**
+ * Checks the options of {@link search} before anything is embedded.
+ *
+ * @function
+ * @param {Object} options - The options to check.
+ * @throws {Error} If `topK`, `minScore`, `order`, `mmr`, `rescore` or `rerank` is invalid, or `keys` is combined with `hybrid`, `chunking`, `mmr`, `rescore` or `rerank`.
+ */
+
+function validateSearchOptions(options) {
+  const { topK = null, minScore = null, order = "desc" } = options;
+  if (topK !== null && (!Number.isInteger(topK) || topK <= 0)) {
+    throw new Error("topK must be a positive integer");
+  }
+  if (minScore !== null && typeof minScore !== "number") {
+    throw new Error("minScore must be a number");
+  }
+  if (!["desc", "asc", "none"].includes(order)) {
+    throw new Error(`Unsupported order "${order}"`);
+  }
+  if (options.keys && options.hybrid) {
+    throw new Error("The hybrid option is not supported together with keys");
+  }
+  if (options.keys && options.chunking) {
+    throw new Error("The chunking option is not supported together with keys");
+  }
+  if (options.mmr) {
+    const { lambda, candidates } = resolveMmr(options.mmr);
+    if (typeof lambda !== "number" || lambda < 0 || lambda > 1) {
+      throw new Error("lambda must be a number between 0 and 1");
+    }
+    if (
+      candidates !== null &&
+      (!Number.isInteger(candidates) || candidates <= 0)
+    ) {
+      throw new Error("candidates must be a positive integer");
+    }
+    if (options.keys) {
+      throw new Error("The mmr option is not supported together with keys");
+    }
+    if (order !== "desc") {
+      throw new Error(
+        `The mmr option orders the results itself and cannot be combined with order "${order}"`,
+      );
+    }
+  }
+  if (options.rescore) {
+    const { candidates } = resolveRescore(options.rescore);
+    if (!Number.isInteger(candidates) || candidates <= 0) {
+      throw new Error("candidates must be a positive integer");
+    }
+    for (const name of ["keys", "hybrid", "chunking"]) {
+      if (options[name]) {
+        throw new Error(
+          `The rescore option is not supported together with ${name}`,
+        );
+      }
+    }
+  }
+  if (options.rerank) {
+    const { candidates, batchSize } = resolveRerank(options.rerank);
+    if (!Number.isInteger(candidates) || candidates <= 0) {
+      throw new Error("candidates must be a positive integer");
+    }
+    if (!Number.isInteger(batchSize) || batchSize <= 0) {
+      throw new Error("batchSize must be a positive integer");
+    }
+    if (options.keys) {
+      throw new Error("The rerank option is not supported together with keys");
+    }
+    if (options.mmr) {
+      throw new Error("The rerank option cannot be combined with mmr");
+    }
+    if (order !== "desc") {
+      throw new Error(
+        `The rerank option orders the results itself and cannot be combined with order "${order}"`,
+      );
+    }
+  }
+}
+
+/**
+ * Resolves the `mmr` option of a search against {@link DEFAULT_MMR_OPTIONS}.
+ *
+ * @function
+ * @param {boolean|Object} mmr - `true` for the default options, or the options to override.
+ * @returns {{lambda: number, candidates: ?number}} The MMR options.
+ */
+
+function resolveMmr(mmr) {
+  return { ...DEFAULT_MMR_OPTIONS, ...(mmr === true ? {} : mmr) };
+}
+
+/**
+ * Reorders search results with Maximal Marginal Relevance, so near-paraphrases do not crowd the top ranks.
+ *
+ * Results are picked one at a time; each pick maximizes `lambda * alike - (1 - lambda) * redundancy`, where `redundancy`
+ * is the highest similarity of a result to the results picked before it. `lambda = 1` keeps the relevance order, lower values favour diversity.
+ *
+ * @function
+ * @param {Array<{alike: number}>} results - The results, with their relevance to the query as `alike`.
+ * @param {function(Object): ArrayLike<number>} getEmbedding - Returns the embedding of a result.
+ * @param {?number} count - The number of results to pick, all of them if `null`.
+ * @param {{lambda: number, candidates: ?number}} mmr - The resolved MMR options. Only the `candidates` most relevant results can be picked, all of them if `null`.
+ * @returns {Array<{alike: number, mmr: number}>} The picked results in the order they were picked, with their marginal relevance as `mmr`.
+ */
+
+function rerankMmr(results, getEmbedding, count, { lambda, candidates }) {
+  let pool = [...results].sort((a, b) => b.alike - a.alike);
+  if (candidates !== null) {
+    pool = pool.slice(0, candidates);
+  }
+  const embeddings = pool.map(getEmbedding);
+  const redundancy = new Float64Array(pool.length).fill(-Infinity);
+  const picked = new Uint8Array(pool.length);
+  const reranked = [];
+  const total = count === null ? pool.length : Math.min(count, pool.length);
+  while (reranked.length < total) {
+    let best = -1;
+    let bestScore = -Infinity;
+    for (let i = 0; i < pool.length; i++) {
+      if (picked[i]) {
+        continue;
+      }
+      const score =
+        lambda * pool[i].alike -
+        (reranked.length ? (1 - lambda) * redundancy[i] : 0);
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    }
+    picked[best] = 1;
+    reranked.push({ ...pool[best], mmr: bestScore });
+    for (let i = 0; i < pool.length; i++) {
+      if (!picked[i]) {
+        redundancy[i] = Math.max(
+          redundancy[i],
+          dotProduct(embeddings[best], embeddings[i]),
+        );
+      }
+    }
+  }
+  return reranked;
+}
+
+/**
+ * Resolves the `rescore` option of a search against {@link DEFAULT_RESCORE_OPTIONS}.
+ *
+ * @function
+ * @param {boolean|Object} rescore - `true` for the default options, or the options to override.
+ * @returns {{candidates: number}} The rescore options.
+ */
+
+function resolveRescore(rescore) {
+  return { ...DEFAULT_RESCORE_OPTIONS, ...(rescore === true ? {} : rescore) };
+}
+
+/**
+ * Asynchronously rescores the best results of a search with full-precision embeddings.
+ *
+ * Quantized embeddings only approximate the similarity. The `candidates` best results (at least `count`) are scored
+ * again with the `embedding` kept next to their quantized one (see the `keepEmbeddings` option of `getCached`), or
+ * embedded anew through the embedding cache if the finder has one; all other results are dropped.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Float32Array} embedding - The embedding of the query.
+ * @param {Array<{sentenceTwo: string, alike: number, embedding?: ArrayLike<number>}>} results - The results, scored with quantized embeddings.
+ * @param {?number} count - The number of results the search returns, `null` for all.
+ * @param {{candidates: number}} rescore - The resolved rescore options.
+ * @param {Object} options - Batching options, see {@link embedInBatches}.
+ * @returns {Promise<Array<{sentenceTwo: string, alike: number, approximate: number}>>} The rescored candidates, with their full-precision score as `alike` and their first score as `approximate`.
+ */
+
+async function rescoreResults(
+  state,
+  embedding,
+  results,
+  count,
+  { candidates },
+  options,
+) {
+  const top = createTopK(Math.max(candidates, count || 0));
+  results.forEach(top.add);
+  const pool = top.getArray();
+  const missing = pool.filter((result) => !result.embedding);
+  const embedded = await embedInBatches(
+    state,
+    missing.map((result) => result.sentenceTwo),
+    { batchSize: options.batchSize, signal: options.signal },
+  );
+  const embeddings = new Map(missing.map((result, i) => [result, embedded[i]]));
+
+  return pool.map((result) => ({
+    ...result,
+    alike: dotProduct(embedding, result.embedding || embeddings.get(result)),
+    approximate: result.alike,
+  }));
+}
+
+/**
+ * Resolves the `rerank` option of a search against {@link DEFAULT_RERANK_OPTIONS}.
+ *
+ * @function
+ * @param {boolean|Object} rerank - `true` for the default options, or the options to override.
+ * @returns {{candidates: number, batchSize: number}} The rerank options.
+ */
+
+function resolveRerank(rerank) {
+  return { ...DEFAULT_RERANK_OPTIONS, ...(rerank === true ? {} : rerank) };
+}
+
+/**
+ * Asynchronously reorders the best search results with the loaded {@link Reranker}.
+ *
+ * The `candidates` most similar results (at least `count`) are scored against the query in batches of `batchSize`,
+ * using the text of their best passage for chunked items, and the `count` best by that score are returned.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder whose reranker is used.
+ * @param {string} query - The query of the search.
+ * @param {Array<{sentenceTwo: string, alike: number}>} results - The results of the first stage.
+ * @param {?number} count - The number of results to return, all reranked candidates if `null`.
+ * @param {{candidates: number, batchSize: number}} rerank - The resolved rerank options.
+ * @param {?AbortSignal} signal - Cancels the call between batches.
+ * @throws {Error} If no reranker is loaded, or it does not return one number per text.
+ * @returns {Promise<Array<{sentenceTwo: string, alike: number, rerank: number}>>} The reranked results, by descending `rerank`.
+ */
+
+async function rerankResults(
+  state,
+  query,
+  results,
+  count,
+  { candidates, batchSize },
+  signal,
+) {
+  const { reranker } = state;
+  if (!reranker) {
+    throw new Error(
+      "The reranker has not been loaded, use vagueFinder.loadReranker()",
+    );
+  }
+  const pool = [...results]
+    .sort((a, b) => b.alike - a.alike)
+    .slice(0, Math.max(candidates, count || 0));
+  const texts = pool.map((result) =>
+    result.passage ? result.passage.text : result.sentenceTwo,
+  );
+  const reranked = [];
+  for (let start = 0; start < pool.length; start += batchSize) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+    const batch = texts.slice(start, start + batchSize);
+    const scores = await reranker.score(query, batch, { signal });
+    if (!Array.isArray(scores) || scores.length !== batch.length) {
+      throw new Error(
+        `The reranker returned ${scores && scores.length} scores for ${batch.length} texts`,
+      );
+    }
+    scores.forEach((score, i) => {
+      reranked.push({ ...pool[start + i], rerank: score });
+    });
+  }
+  reranked.sort((a, b) => b.rerank - a.rerank);
+
+  return count === null ? reranked : reranked.slice(0, count);
+}
+
+/**
+ * Asynchronously runs a {@link search} for a query that is already embedded.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} query - The sentence to search for.
+ * @param {Float32Array} embedding - The embedding of the query.
+ * @param {Array<string|Object>} corpus - The sentences (or objects) to search.
+ * @param {Object} options - The validated options of {@link search}.
+ * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} The query and the matching items with their similarity scores.
+ */
+
+async function searchWithEmbedding(state, query, embedding, corpus, options) {
+  const { topK = null, minScore = null, order = "desc" } = options;
+  const compare = options.keys
+    ? compareSentenceToObjects
+    : compareSentenceToSentences;
+  // Only quantized scores need rescoring, the others are exact already
+  const rescore =
+    options.rescore && corpus.some((item) => item && item.quantized);
+  // MMR compares the results with each other, so it needs their embeddings. Rescoring uses them if every quantized
+  // item kept its float embedding, and embeds the candidates again otherwise.
+  const withEmbeddings = Boolean(
+    options.mmr ||
+    (rescore &&
+      corpus.every((item) => !(item && item.quantized) || item.embedding)),
+  );
+  let { array: results } = await compare(
+    state,
+    query,
+    embedding,
+    corpus,
+    withEmbeddings ? { ...options, includeEmbeddings: true } : options,
+  );
+
+  if (rescore) {
+    results = await rescoreResults(
+      state,
+      embedding,
+      results,
+      topK,
+      resolveRescore(options.rescore),
+      options,
+    );
+  }
+  if (minScore !== null) {
+    results = results.filter((result) => result.alike >= minScore);
+  }
+  if (options.mmr) {
+    results = rerankMmr(
+      results,
+      (result) => (result.passage ? result.passage : result).embedding,
+      topK,
+      resolveMmr(options.mmr),
+    );
+  } else if (options.rerank) {
+    results = await rerankResults(
+      state,
+      query,
+      results,
+      topK,
+      resolveRerank(options.rerank),
+      options.signal,
+    );
+  } else if (topK !== null && results.length > topK) {
+    const top = createTopK(topK);
+    results.forEach(top.add);
+    const kept = new Set(top.getArray());
+    results = results.filter((result) => kept.has(result));
+  }
+  if (order !== "none" && !options.mmr && !options.rerank) {
+    results.sort((a, b) =>
+      order === "asc" ? a.alike - b.alike : b.alike - a.alike,
+    );
+  }
+  if (withEmbeddings && !options.includeEmbeddings) {
+    for (const result of results) {
+      delete (result.passage ? result.passage : result).embedding;
+    }
+  }
+
+  return {
+    sentenceOne: query,
+    array: results,
+  };
+}
+
+/**
+ * Asynchronously embeds the items of a corpus that are not cached yet, keeping the cached ones as they are.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Array<string|Object>} corpus - The raw and cached items.
+ * @param {Object} options - The options of {@link getCached}.
+ * @returns {Promise<Array<Object>>} The corpus with every item cached, in the same order.
+ */
+
+async function cacheCorpus(state, corpus, options) {
+  const isCached = options.keys ? isCachedObject : isCachedEntry;
+  const embedded = await getCached(
+    state,
+    corpus.filter((item) => !isCached(item)),
+    options,
+  );
+  let next = 0;
+  return corpus.map((item) => (isCached(item) ? item : embedded[next++]));
+}
+
+/**
+ * Asynchronously computes the similarity of every query to every item of a corpus.
+ *
+ * The queries and the items that are not cached are embedded once, in batches, and the whole matrix is then filled with dot products.
+ * This is much faster than calling `compareSentenceToArray` once per query, which embeds the query and the corpus again every time.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Array<string>} queries - The sentences to compare, one row each.
+ * @param {Array<string|{sentenceTwo: string, embedding?: ArrayLike<number>}>} corpus - The sentences to compare them to, one column each. Cached items from `getCached` are accepted too.
+ * @param {Object} [options] - Batching options, see {@link getCached}. `onBatch` reports the queries first and then the corpus.
+ * @throws {Error} If the model is not loaded, an error is thrown.
+ * @returns {Promise<{rows: Array<string>, columns: Array<string>, matrix: Float32Array}>} The queries (`rows`), the sentences of the corpus (`columns`) and the similarities in row-major order:
+ * the similarity of `rows[i]` to `columns[j]` is `matrix[i * columns.length + j]`.
+ *
+ * @example
+ * try {
+ *   const { rows, columns, matrix } = await compareMany(["refund", "login issue"], faqs);
+ *   console.log(matrix[1 * columns.length + 0]); // "login issue" against the first faq
+ * } catch (error) {
+ *   console.error(error);
+ * }
+ */
+
+async function compareMany(state, queries, corpus, options = {}) {
+  if (!state.provider) {
+    modelNotLoadedErrorMessage();
+    return;
+  }
+  const queryEmbeddings = await embedInBatches(state, queries, {
+    ...options,
+    role: "query",
+  });
+  const cachedCorpus = await cacheCorpus(state, corpus, {
+    batchSize: options.batchSize,
+    onBatch: options.onBatch,
+    signal: options.signal,
+  });
+  validateCachedArray(cachedCorpus);
+  const embeddings = cachedCorpus.map((item) => item.embedding);
+  const { matrix: corpusMatrix, dimension } =
+    getSharedMatrix(embeddings) || toMatrix(embeddings);
+
+  const columns = cachedCorpus.map((item) => item.sentenceTwo);
+  const matrix = new Float32Array(queries.length * columns.length);
+  for (let i = 0; i < queries.length; i++) {
+    matrix.set(
+      scoreMatrix(queryEmbeddings[i], corpusMatrix, dimension, columns.length),
+      i * columns.length,
+    );
+  }
+
+  return {
+    rows: [...queries],
+    columns,
+    matrix,
+  };
+}
+
+/**
+ * Asynchronously runs a {@link search} for every query against the same corpus.
+ *
+ * The queries and the items that are not cached are embedded once, in batches, before the searches run;
+ * `getCached` options such as `keys` and `chunking` are applied to the corpus once as well.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Array<string>} queries - The sentences to search for.
+ * @param {Array<string|Object>} corpus - The sentences (or objects) to search, raw or cached.
+ * @param {Object} [options] - The options of {@link search}, e.g. `topK` and `minScore`, applied to every query. `onBatch` reports the queries first and then the corpus.
+ * @throws {Error} If the model is not loaded, or an option is invalid.
+ * @returns {Promise<Array<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>>} One search result per query, in the order of `queries`.
+ *
+ * @example
+ * try {
+ *   const results = await searchMany(tickets, faqs, { topK: 3 });
+ *   results.forEach(({ sentenceOne, array }) => console.log(sentenceOne, array[0]));
+ * } catch (error) {
+ *   console.error(error);
+ * }
+ */
+
+async function searchMany(state, queries, corpus, options = {}) {
+  if (!state.provider) {
+    modelNotLoadedErrorMessage();
+    return;
+  }
+  validateSearchOptions(options);
+  const queryEmbeddings = await embedInBatches(state, queries, {
+    ...options,
+    role: "query",
+  });
+  const cachedCorpus = await cacheCorpus(state, corpus, options);
+
+  const results = [];
+  for (let i = 0; i < queries.length; i++) {
+    results.push(
+      await searchWithEmbedding(
+        state,
+        queries[i],
+        queryEmbeddings[i],
+        cachedCorpus,
+        options,
+      ),
+    );
+  }
+  return results;
+}
+
+/**
+ * Checks the options of {@link scoreStream} and {@link searchStream} before anything is read from the source.
+ *
+ * @function
+ * @param {Object} options - The options to check.
+ * @throws {Error} If an option of {@link search} is invalid, `batchSize` is not a positive integer, or an option needing the whole corpus is given.
+ */
+
+function validateStreamOptions(options) {
+  validateSearchOptions(options);
+  const { batchSize = DEFAULT_BATCH_SIZE } = options;
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new Error("batchSize must be a positive integer");
+  }
+  // These options compare every item with the whole corpus, which a stream never holds
+  for (const name of ["hybrid", "mmr", "rerank"]) {
+    if (options[name]) {
+      throw new Error(
+        `The ${name} option is not supported by streaming searches`,
+      );
+    }
+  }
+}
+
+/**
+ * Asynchronously scores the items of a stream against a query, yielding the results as they are scored.
+ *
+ * Items are pulled from `source` and scored `batchSize` at a time, so only one batch is held in memory and
+ * nothing is read before the caller asks for the next result. Stop early by leaving the `for await` loop, which also
+ * closes the source, or by aborting `options.signal`.
+ *
+ * @async
+ * @generator
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} query - The sentence to search for.
+ * @param {AsyncIterable<string|Object>|Iterable<string|Object>} source - The items: strings, `{sentenceTwo, metadata}` objects or cached items, e.g. a file line reader or a database cursor.
+ * @param {Object} [options] - The options of {@link search}, except `hybrid`, `mmr` and `rerank`; `topK` and `order` are ignored.
+ * @param {function({batch: number, done: number}): void} [options.onBatch] - Called after every scored batch, with the number of items read so far.
+ * @param {AbortSignal} [options.signal] - Stops the stream, which then throws the reason of the signal.
+ * @throws {Error} If the model is not loaded, or an option is invalid.
+ * @yields {{sentenceTwo: string, alike: number, index: number}} The results in the order of the source, with the position of their item in it. Items filtered out or below `minScore` are skipped.
+ *
+ * @example
+ * const lines = createInterface({ input: createReadStream("docs.txt") });
+ * for await (const result of scoreStream("reset my password", lines, { minScore: 0.8 })) {
+ *   console.log(result.index, result.sentenceTwo, result.alike);
+ * }
+ */
+
+async function* scoreStream(state, query, source, options = {}) {
+  if (!state.provider) {
+    modelNotLoadedErrorMessage();
+    return;
+  }
+  validateStreamOptions(options);
+  const {
+    batchSize = DEFAULT_BATCH_SIZE,
+    minScore = null,
+    onBatch = null,
+    signal = null,
+  } = options;
+  const [embedding] = await embedTexts(state, [query], signal, "query");
+  const compare = options.keys
+    ? compareSentenceToObjects
+    : compareSentenceToSentences;
+  // Every batch is embedded in one go and reported by this function, not by embedInBatches.
+  // The filter is applied here, to know the position of every result in the source
+  const batchOptions = { ...options, batchSize, onBatch: null, filter: null };
+  const matches = options.filter ? compileFilter(options.filter) : null;
+  const accepts = (item) => {
+    if (!matches) {
+      return true;
+    }
+    if (options.keys) {
+      const object = isCachedObject(item) ? item.item : item;
+      return matches(object, object);
+    }
+    return matches(item && item.metadata, item);
+  };
+
+  let batch = [];
+  let batches = 0;
+  let done = 0;
+  const scoreBatch = async () => {
+    const kept = [];
+    batch.forEach((item, i) => {
+      if (accepts(item)) {
+        kept.push(i);
+      }
+    });
+    const { array } = kept.length
+      ? await compare(
+          state,
+          query,
+          embedding,
+          kept.map((i) => batch[i]),
+          batchOptions,
+        )
+      : { array: [] };
+    const results = array
+      .map((result, j) => ({ ...result, index: done + kept[j] }))
+      .filter((result) => minScore === null || result.alike >= minScore);
+    done += batch.length;
+    batch = [];
+    batches++;
+    if (onBatch) {
+      onBatch({ batch: batches, done });
+    }
+    return results;
+  };
 
-  static async getInstance(progress_callback = null) {
-    if (this.instance === null) {
-      this.instance = pipeline(this.task, this.model, { progress_callback });
+  for await (const item of source) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+    batch.push(item);
+    if (batch.length === batchSize) {
+      yield* await scoreBatch();
+    }
+  }
+  if (batch.length > 0) {
+    if (signal) {
+      signal.throwIfAborted();
     }
+    yield* await scoreBatch();
+  }
+}
 
-    return this.instance;
+/**
+ * Asynchronously finds the `topK` items of a stream most similar to a query.
+ *
+ * Unlike {@link getTop}, the corpus never has to fit in memory: only the best `topK` results and the batch being scored are kept.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} query - The sentence to search for.
+ * @param {AsyncIterable<string|Object>|Iterable<string|Object>} source - The items, see {@link scoreStream}.
+ * @param {Object} [options] - The options of {@link scoreStream}.
+ * @param {number} [options.topK=10] - The number of results.
+ * @throws {Error} If the model is not loaded, an option is invalid, or the signal aborts.
+ * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number, index: number}>}>} The query and the `topK` best results, most similar first.
+ *
+ * @example
+ * const cursor = db.collection("articles").find().map((doc) => ({ sentenceTwo: doc.title, metadata: { id: doc._id } }));
+ * const result = await searchStream("vector databases", cursor, { topK: 5, signal: AbortSignal.timeout(10000) });
+ */
+
+async function searchStream(state, query, source, options = {}) {
+  const { topK = 10 } = options;
+  const top = createTopK(topK);
+  for await (const result of scoreStream(state, query, source, {
+    ...options,
+    topK,
+  })) {
+    top.add(result);
   }
+
+  return {
+    sentenceOne: query,
+    array: top.getArray(),
+  };
 }
 
-let model = null;
-let progress = null;
+/**
+ * Asynchronously compares a sentence to an array of sentences.
+ *
+ * This function takes a sentence and an array of sentences as input.
+ * It calculates the similarity between the input sentence and each sentence in the array, and returns the results in the order of the array.
+ * It is a wrapper around {@link search} with `order: "none"`, and accepts all of its options.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} sentence - The sentence to be compared.
+ * @param {Array<string|{sentenceTwo: string, embedding: Float32Array|Array<number>}>} array - The array of sentences to be compared. Each element can be a string or an object with `sentenceTwo` and `embedding` properties.
+ * @param {boolean} doesCache2Exist - Kept for compatibility. Cached items are recognized by their `embedding` (or `passages`) either way.
+ * @param {Object} [options] - The options of {@link search}.
+ * @throws {Error} If the model is not loaded, an error is thrown.
+ * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A Promise that resolves to an object containing the input sentence and the array of sentences with their similarity scores.
+ *
+ * @example
+ * try {
+ *   const result = await compareSentenceToArray(sentence, array, false, { batchSize: 64 });
+ *   console.log(result);
+ * } catch (error) {
+ *   console.error(error);
+ * }
+ */
+
+const compareSentenceToArray = async (
+  state,
+  sentence,
+  array,
+  doesCache2Exist = false,
+  options = {},
+) => search(state, sentence, array, { ...options, order: "none" });
 
 /**
- * Asynchronously loads the model.
+ * Asynchronously compares a sentence to an array of sentences and returns the results in order of similarity.
  *
- * This function gets the pipeline instance which will load and build the model when run for the first time.
- * It also provides a way to track the progress of the pipeline creation, which can be used to update a UI element like a progress bar.
+ * This function takes a sentence and an array of sentences as input. It uses the `search` function to calculate the cosine similarity between the input sentence and each sentence in the array.
+ * The function then sorts the results in descending order of similarity and returns an object containing the input sentence and the sorted array of comparison results.
  *
  * @async
  * @function
- * @throws {Error} If the model cannot be loaded, an error is thrown with a message detailing the reason.
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} sentence - The sentence to compare to the array of sentences.
+ * @param {Array<string>} array - The array of sentences to compare to the input sentence.
+ * @param {Object} [options] - The options of {@link search}, e.g. `topK` and `minScore`.
+ * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A Promise that resolves to an object containing the input sentence and an array of objects. Each object in the array contains:
+ *   - `sentenceTwo`: A sentence from the input array.
+ *   - `alike`: The cosine similarity score between the input sentence and `sentenceTwo`.
+ *   The array is sorted in descending order of similarity score.
+ * @throws {Error} If the model has not been loaded.
  *
  * @example
  * try {
- *   await loadModel();
+ *   const result = await arrayInOrder("This is a sentence.", ["This is another sentence.", "Yet another sentence."]);
+ *   console.log(result);
  * } catch (error) {
  *   console.error(error);
  * }
  */
 
-async function loadModel() {
-  try {
-    // Get the pipeline instance. This will load and build the model when run for the first time.
-    model = await PipelineSingleton.getInstance((data) => {
-      // You can track the progress of the pipeline creation here.
-      // e.g., you can send `data` back to the UI to indicate a progress bar
-      // can be accessed via vagueFinder.getProgress()
-      progress = data;
-    });
-  } catch (error) {
-    throw new Error(`Unable to load Model due to ${error}`);
+const arrayInOrder = async (state, sentence, array, options = {}) =>
+  search(state, sentence, array, { ...options, order: "desc" });
+
+/**
+ * Returns the progress of the model loading process.
+ *
+ * It returns an Object that represents the progress of the model loading process: the state of the model, the bytes loaded
+ * and to load summed over all files of the model, the overall `progress` in percent, and the progress of every file.
+ * `status`, `name` and `file` come from the last progress event of transformers.js.
+ *
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @returns {{state: string, error: ?string, status: ?string, name: ?string, file: ?string, loaded: number, total: number, progress: number, files: Array<{file: string, status: string, loaded: number, total: number, progress: number}>}} The progress of the model loading process.
+ *
+ * @example
+ * try {
+ *   const progress = getProgress();
+ *   console.log(progress);
+ * } catch (error) {
+ *   console.error(error);
+ * }
+ */
+
+function getProgress(state) {
+  return state.progress || snapshotProgress(state, null);
+}
+
+/**
+ * Subscribes to the events of the finder.
+ *
+ * `progress` listeners get every new {@link getProgress} snapshot while the model loads. `state` listeners get
+ * `{ state, previous, error }` whenever the model moves between `idle`, `loading`, `ready` and `failed`.
+ * `warning` listeners get `{ message, path }` when `loadIndex` accepts an index built with another model, with `onModelMismatch: "warn"`.
+ *
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} event - `progress`, `state` or `warning`.
+ * @param {function(Object): void} listener - Called with every event.
+ * @throws {Error} If the event is unknown.
+ * @returns {function(): void} Unsubscribes the listener.
+ *
+ * @example
+ * const unsubscribe = on("progress", ({ loaded, total }) => console.log(`${loaded} / ${total} bytes`));
+ * on("state", ({ state, error }) => console.log(state, error));
+ */
+
+function on(state, event, listener) {
+  const listeners = state.listeners[event];
+  if (!listeners) {
+    throw new Error(
+      `Unknown event "${event}", use "progress", "state" or "warning"`,
+    );
   }
+  listeners.add(listener);
+  return () => listeners.delete(listener);
 }
 
 /**
- * Throws an error indicating that the model has not been loaded.
+ * Removes every embedding from the cache of the finder and resets its statistics.
+ *
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ *
+ * @example
+ * clearCache();
+ */
+
+function clearCache(state) {
+  if (state.embeddingCache) {
+    state.embeddingCache.clear();
+  }
+}
+
+/**
+ * Returns the statistics of the embedding cache enabled with `loadModel({ cacheSize })`.
+ *
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @returns {{size: number, maxSize: number, hits: number, misses: number}} The number of cached embeddings, the maximum, and the lookups that hit and missed. All `0` while the cache is disabled.
  *
+ * @example
+ * const { hits, misses } = getCacheStats();
+ * console.log(`Hit rate: ${hits / (hits + misses)}`);
+ */
+
+function getCacheStats(state) {
+  return state.embeddingCache
+    ? state.embeddingCache.getStats()
+    : { size: 0, maxSize: 0, hits: 0, misses: 0 };
+}
+
+/**
+ * Returns what the loaded model produces, as recorded by `saveIndex`.
  *
  * @function
- * @throws {Error} Always throws an error indicating that the model has not been loaded.
+ * @param {FinderState} state - The finder the call runs on.
+ * @returns {?{id: string, dimension: number, pooling: ?string, normalize: ?boolean, profile: Object}} The model id, embedding dimension, pooling and normalization, or `null` if no model is loaded.
+ * `profile` is the encoding profile in use (see {@link resolveProfile}).
+ *
+ * @example
+ * const info = getModelInfo();
+ * console.log(info && info.dimension); // 384 for Supabase/gte-small
  */
 
-function modelNotLoadedErrorMessage() {
-  throw new Error("Model has not been loaded, use vagueFinder.loadModel()");
+function getModelInfo(state) {
+  if (!state.provider) {
+    return null;
+  }
+  const { id, dimension, pooling, normalize } = state.provider;
+  return {
+    id,
+    dimension,
+    pooling: pooling ?? null,
+    normalize: normalize ?? null,
+    profile: { ...state.profile },
+  };
 }
 
 /**
- * Asynchronously classifies the similarity between two sentences.
+ * Compares two sentences using the loaded model.
  *
- * This function takes two sentences and their respective embeddings and cache flags as input.
- * It calculates the embeddings for the sentences if they are not cached.
- * Then, it calculates the cosine similarity between the two embeddings.
- * It returns an object containing the two sentences, their similarity score, and the embedding of the first sentence.
+ * This function takes two sentences as input and uses the `classify` function to calculate the cosine similarity between them. If the model has not been loaded, it throws an error.
  *
  * @async
  * @function
- * @param {string} sentenceOne - The first sentence to be compared.
- * @param {string} sentenceTwo - The second sentence to be compared.
- * @param {Array<number>} embedding1Cache - The cached embedding for the first sentence.
- * @param {boolean} doesCache1Exist - Flag indicating whether the embedding for the first sentence is cached.
- * @param {Array<number>} embedding2Cache - The cached embedding for the second sentence.
- * @param {boolean} doesCache2Exist - Flag indicating whether the embedding for the second sentence is cached.
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} sentenceOne - The first sentence to compare.
+ * @param {string} sentenceTwo - The second sentence to compare.
+ * @returns {Promise<{sentenceOne: string, sentenceTwo: string, alike: number}>} A Promise that resolves to an object containing:
+ *   - `sentenceOne`: The first input sentence.
+ *   - `sentenceTwo`: The second input sentence.
+ *   - `alike`: The cosine similarity score between `sentenceOne` and `sentenceTwo`.
+ * @throws {Error} If the model has not been loaded.
+ *
+ * @example
+ * try {
+ *   const result = await compareTwoSentences("This is a sentence.", "This is another sentence.");
+ *   console.log(result);
+ * } catch (error) {
+ *   console.error(error);
+ * }
+ */
+
+async function compareTwoSentences(state, sentenceOne, sentenceTwo) {
+  if (!state.provider) {
+    modelNotLoadedErrorMessage();
+    return;
+  }
+
+  const { alike } = await classify(
+    state,
+    sentenceOne,
+    sentenceTwo,
+    null,
+    false,
+    null,
+    false,
+  );
+
+  return { sentenceOne, sentenceTwo, alike };
+}
+
+/**
+ * Asynchronously generates embeddings for an array of sentences.
+ *
+ * This function takes an array of sentences as input.
+ * It generates embeddings for each sentence in the array using the model.
+ * It returns an array of objects, each containing a sentence and its corresponding embedding.
+ *
+ * Note: This function creates a copy of the input array to avoid altering the original.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Array<string|{sentenceTwo: string, metadata: Object}>} array - The array of sentences for which embeddings are to be generated. Items with `metadata` keep it in the cached array, for filtering.
+ * @param {Object} [options] - Batching options.
+ * @param {number} [options.batchSize=32] - The number of sentences embedded at once.
+ * @param {function({batch: number, batches: number, done: number, total: number}): void} [options.onBatch] - Called after every embedded batch, e.g. to show indexing progress.
+ * @param {Array<string|{name: string, weight?: number}>} [options.keys] - Treat `array` as objects and embed these fields (dot paths). Resolves to `{item, embeddings}` objects instead.
+ * @param {boolean|{by?: string, maxTokens?: number, overlap?: number}} [options.chunking] - Split long sentences into passages and embed each of them (see {@link chunkText}).
+ * Items then have `passages: [{start, end, embedding}]` instead of an `embedding`, and can be compared but not saved or indexed.
+ * @param {string} [options.quantize] - Compress the embeddings to `int8` (a quarter of the memory) or `binary` (a thirty-second) with {@link quantizeMatrix}.
+ * Items then have `quantized`, `quantization` and, for `int8`, `scale` instead of an `embedding`, and can be searched but not saved, indexed or grouped.
+ * @param {boolean} [options.keepEmbeddings=false] - With `quantize`, keep the full-precision `embedding` next to the quantized one, so the `rescore` option of searches does not embed the candidates again and `mmr` can be used.
+ * Memory is then not saved, but searches score the compact codes and the items can be used everywhere a cached array is accepted.
+ * @param {string} [options.role="document"] - Embed the sentences as documents to search in, or as `query` to search for, e.g. to cache frequent queries. Only matters for models with different query and document prefixes (see {@link resolveProfile}).
  * @throws {Error} If the model is not loaded, an error is thrown.
- * @returns {Promise<{sentenceOne: string, sentenceTwo: string, alike: number, embedding1Cache: Array<number>}>} A Promise that resolves to an object containing the two sentences, their similarity score, and the embedding of the first sentence.
+ * @returns {Promise<Array<{sentenceTwo: string, embedding: Float32Array, metadata?: Object}>>} A Promise that resolves to an array of objects, each containing a sentence and its corresponding embedding.
+ * The embeddings are consecutive rows of one contiguous `Float32Array`, which lets the cached functions score them in a single pass.
  *
  * @example
  * try {
- *   const result = await classify(sentence1, sentence2, embedding1Cache, true, embedding2Cache, false);
+ *   const result = await getCached(array);
  *   console.log(result);
  * } catch (error) {
  *   console.error(error);
  * }
  */
 
-const classify = async (
-  sentenceOne,
-  sentenceTwo,
-  embedding1Cache,
-  doesCache1Exist,
-  embedding2Cache,
-  doesCache2Exist,
-) => {
-  if (!doesCache2Exist && !model) {
+async function getCached(state, array, options = {}) {
+  if (!state.provider) {
     modelNotLoadedErrorMessage();
     return;
   }
+  const { quantize = null, keepEmbeddings = false } = options;
+  if (quantize !== null && !["int8", "binary"].includes(quantize)) {
+    throw new Error(`Unsupported quantize "${quantize}"`);
+  }
+  if (quantize && (options.keys || options.chunking)) {
+    throw new Error(
+      "The quantize option is not supported together with keys or chunking",
+    );
+  }
+  if (options.keys) {
+    return getCachedObjects(state, array, options);
+  }
+  array = [...array]; //Creating a copy, so that we don't alter the original;
+  const sentences = array.map((item) =>
+    item.sentenceTwo ? item.sentenceTwo : item,
+  );
+  if (options.chunking) {
+    const chunks = await embedPassages(
+      state,
+      sentences,
+      resolveChunking(options.chunking),
+      options,
+    );
+    return array.map((item, i) =>
+      item.metadata !== undefined
+        ? {
+            sentenceTwo: sentences[i],
+            passages: chunks[i],
+            metadata: item.metadata,
+          }
+        : { sentenceTwo: sentences[i], passages: chunks[i] },
+    );
+  }
+  const { matrix, dimension } = toMatrix(
+    await embedInBatches(state, sentences, options),
+  );
+  const rows = quantize
+    ? quantizeMatrix(matrix, dimension, array.length, quantize)
+    : null;
+  let returnedArray = [];
+  for (let i = 0; i < array.length; i++) {
+    const embedding = matrix.subarray(i * dimension, (i + 1) * dimension);
+    returnedArray[i] = rows
+      ? { sentenceTwo: sentences[i], ...rows[i], quantization: quantize }
+      : { sentenceTwo: sentences[i], embedding };
+    if (rows && keepEmbeddings) {
+      returnedArray[i].embedding = embedding;
+    }
+    if (array[i].metadata !== undefined) {
+      returnedArray[i].metadata = array[i].metadata;
+    }
+  }
 
-  let embedding1 = null;
-  let embedding2 = null;
+  return returnedArray;
+}
 
-  if (doesCache1Exist) {
-    embedding1 = embedding1Cache;
+/**
+ * Compares a sentence to an array of cached sentences.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} sentence - The sentence to compare.
+ * @param {Array<{sentenceTwo: string, embedding: Float32Array|Array<number>}>} cachedArray - The array of cached sentences to compare against.
+ * @param {Object} [options] - The options of {@link search}. Pass the same `keys` as to `getCached` to compare cached objects, and a `filter` to only compare items whose `metadata` matches it (see {@link compileFilter}).
+ * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} An object containing the original sentence and an array of comparison results.
+ *
+ * @example
+ * const result = await cachedCompareSentenceToArray('Hello world', cachedSentences);
+ * console.log(result);
+ */
+
+async function cachedCompareSentenceToArray(
+  state,
+  sentence,
+  cachedArray,
+  options = {},
+) {
+  if (options.keys) {
+    validateCachedObjects(cachedArray);
   } else {
-    embedding1 = await model(sentenceOne, {
-      pooling: "mean",
-      normalize: true,
-    });
+    validateCachedArray(cachedArray, true);
+  }
+  return search(state, sentence, cachedArray, { ...options, order: "none" });
+}
+
+/**
+ * Asynchronously sorts an array of sentences based on their similarity to a given sentence.
+ *
+ * This function takes a sentence and an array of sentences as input.
+ * It calculates the similarity between the input sentence and each sentence in the array.
+ * It then sorts the array based on the similarity scores in descending order.
+ * It returns an object containing the input sentence and the sorted array of sentences with their similarity scores.
+ *
+ * This function differs from `arrayInOrder` in that it expects the array of sentences to already have cached embeddings.
+ * This function is useful when you have a large array of sentences and you want to cache their embeddings to avoid recalculating them each time you compare a new sentence to the array.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} sentence - The sentence to be compared.
+ * @param {Array<{sentenceTwo: string, embedding: Float32Array|Array<number>}>} cachedArray - The array of sentences to be compared. Each element is a object with `sentenceTwo` and `embedding` properties.
+ * Arrays returned by `getCached` are scored in a single pass over their embedding matrix; plain `number[]` embeddings are accepted too.
+ * @param {Object} [options] - The options of {@link search}. Pass the same `keys` as to `getCached` to compare cached objects, and a `filter` to only compare items whose `metadata` matches it (see {@link compileFilter}).
+ * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A Promise that resolves to an object containing the input sentence and the sorted array of sentences with their similarity scores.
+ *
+ * @example
+ * try {
+ *   const result = await cachedArrayInOrder(sentence, array);
+ *   console.log(result);
+ * } catch (error) {
+ *   console.error(error);
+ * }
+ */
+
+async function cachedArrayInOrder(state, sentence, cachedArray, options = {}) {
+  if (options.keys) {
+    validateCachedObjects(cachedArray);
+  } else {
+    validateCachedArray(cachedArray, true);
   }
+  return search(state, sentence, cachedArray, { ...options, order: "desc" });
+}
+
+/**
+ * Serializes a cached array into the binary index format.
+ *
+ * Layout (little-endian): the `VGFI` magic, the format version (uint32), the byte length of a JSON header (uint32),
+ * the header, padding to a 4-byte boundary, the embeddings as one float32 matrix, and then every sentence as its
+ * UTF-8 byte length (uint32) followed by its bytes. Since version 2 the file ends with the byte length (uint32) of a JSON array
+ * holding the `id` and `metadata` of every item (`null` for items without either), followed by that array.
+ *
+ * @function
+ * @param {Array<{sentenceTwo: string, embedding: ArrayLike<number>, id?: string|number, metadata?: Object}>} cachedArray - The cached array to serialize.
+ * @param {{modelId: string, dimension: number, pooling: ?string, normalize: ?boolean, profile: {queryPrefix: string, documentPrefix: string}}} header - What the embeddings were built with.
+ * @returns {Uint8Array} The serialized index.
+ */
+
+function serializeIndex(cachedArray, header) {
+  const encoder = new TextEncoder();
+  const headerBytes = encoder.encode(
+    JSON.stringify({ ...header, count: cachedArray.length }),
+  );
+  const sentences = cachedArray.map((item) => encoder.encode(item.sentenceTwo));
+  const extrasBytes = encoder.encode(
+    JSON.stringify(
+      cachedArray.map(({ id, metadata }) =>
+        id === undefined && metadata === undefined ? null : { id, metadata },
+      ),
+    ),
+  );
+  const matrixOffset = Math.ceil((12 + headerBytes.length) / 4) * 4;
+  const sentencesOffset =
+    matrixOffset + cachedArray.length * header.dimension * 4;
+  const byteLength = sentences.reduce(
+    (total, sentence) => total + 4 + sentence.length,
+    sentencesOffset + 4 + extrasBytes.length,
+  );
+
+  const bytes = new Uint8Array(byteLength);
+  const view = new DataView(bytes.buffer);
+  bytes.set(encoder.encode(INDEX_FORMAT.magic), 0);
+  view.setUint32(4, INDEX_FORMAT.version, true);
+  view.setUint32(8, headerBytes.length, true);
+  bytes.set(headerBytes, 12);
 
-  if (doesCache2Exist) {
-    embedding2 = embedding2Cache;
-  } else {
-    embedding2 = await model(sentenceTwo, {
-      pooling: "mean",
-      normalize: true,
-    });
+  let offset = matrixOffset;
+  for (let i = 0; i < cachedArray.length; i++) {
+    const { embedding } = cachedArray[i];
+    for (let j = 0; j < header.dimension; j++, offset += 4) {
+      view.setFloat32(offset, embedding[j], true);
+    }
+  }
+  for (let i = 0; i < sentences.length; i++) {
+    view.setUint32(offset, sentences[i].length, true);
+    bytes.set(sentences[i], offset + 4);
+    offset += 4 + sentences[i].length;
   }
+  view.setUint32(offset, extrasBytes.length, true);
+  bytes.set(extrasBytes, offset + 4);
+
+  return bytes;
+}
 
-  if (!doesCache1Exist) {
-    embedding1 = Array.from(embedding1.data);
+/**
+ * Parses an index written by {@link serializeIndex}.
+ *
+ * @function
+ * @param {Uint8Array} bytes - The serialized index.
+ * @throws {Error} If the bytes are not an index or were written by a newer format version.
+ * @returns {{header: {modelId: string, dimension: number, count: number, pooling: ?string, normalize: ?boolean, profile?: {queryPrefix: string, documentPrefix: string}}, cachedArray: Array<{sentenceTwo: string, embedding: Float32Array, id?: string|number, metadata?: Object}>}} The header and the cached array, with embeddings in one contiguous matrix.
+ */
+
+function deserializeIndex(bytes) {
+  const decoder = new TextDecoder();
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (
+    bytes.byteLength < 12 ||
+    decoder.decode(bytes.subarray(0, 4)) !== INDEX_FORMAT.magic
+  ) {
+    throw new Error("The file is not a vague-finder index");
   }
-  if (!doesCache2Exist) {
-    embedding2 = Array.from(embedding2.data);
+  const version = view.getUint32(4, true);
+  if (version > INDEX_FORMAT.version) {
+    throw new Error(
+      `The index uses format version ${version}, but only versions up to ${INDEX_FORMAT.version} are supported`,
+    );
   }
+  const headerLength = view.getUint32(8, true);
+  const header = JSON.parse(
+    decoder.decode(bytes.subarray(12, 12 + headerLength)),
+  );
 
-  const similarity = calculateCosineSimilarity(embedding1, embedding2);
+  const { count, dimension } = header;
+  const matrix = new Float32Array(count * dimension);
+  let offset = Math.ceil((12 + headerLength) / 4) * 4;
+  for (let i = 0; i < matrix.length; i++, offset += 4) {
+    matrix[i] = view.getFloat32(offset, true);
+  }
 
-  let result = similarity;
+  const cachedArray = [];
+  for (let i = 0; i < count; i++) {
+    const length = view.getUint32(offset, true);
+    cachedArray[i] = {
+      sentenceTwo: decoder.decode(
+        bytes.subarray(offset + 4, offset + 4 + length),
+      ),
+      embedding: matrix.subarray(i * dimension, (i + 1) * dimension),
+    };
+    offset += 4 + length;
+  }
 
-  function calculateCosineSimilarity(embedding1, embedding2) {
-    // Calculate dot product and magnitudes
-    let dotProduct = 0;
-    let magnitude1 = 0;
-    let magnitude2 = 0;
-    for (let i = 0; i < embedding1.length; i++) {
-      dotProduct += embedding1[i] * embedding2[i];
-      magnitude1 += embedding1[i] * embedding1[i];
-      magnitude2 += embedding2[i] * embedding2[i];
+  if (version >= 2) {
+    const length = view.getUint32(offset, true);
+    const extras = JSON.parse(
+      decoder.decode(bytes.subarray(offset + 4, offset + 4 + length)),
+    );
+    for (let i = 0; i < count; i++) {
+      if (extras[i] && extras[i].id !== undefined) {
+        cachedArray[i].id = extras[i].id;
+      }
+      if (extras[i] && extras[i].metadata !== undefined) {
+        cachedArray[i].metadata = extras[i].metadata;
+      }
     }
-    magnitude1 = Math.sqrt(magnitude1);
-    magnitude2 = Math.sqrt(magnitude2);
-
-    // Calculate cosine similarity
-    const similarity = dotProduct / (magnitude1 * magnitude2);
-    return similarity;
   }
 
-  return {
-    sentenceOne: sentenceOne,
-    sentenceTwo: sentenceTwo,
-    alike: result,
-    embedding1Cache: embedding1,
-  };
-};
+  return { header, cachedArray };
+}
 
 /**
- * Asynchronously compares a sentence to an array of sentences.
+ * Asynchronously saves a cached array to disk, so it does not have to be re-embedded after a restart.
  *
- * This function takes a sentence and an array of sentences, and a cache flag as input.
- * It calculates the similarity between the input sentence and each sentence in the array.
- * It returns an object containing the input sentence and the array of sentences with their similarity scores.
+ * The file records the model id, embedding dimension, pooling, normalization and encoding profile prefixes of the loaded model, which `loadIndex` checks.
+ * The `id` and `metadata` of items, e.g. from `DocumentIndex.toCachedArray()`, are saved as well.
+ * This function uses the file system and is only available in Node.js.
  *
  * @async
  * @function
- * @param {string} sentence - The sentence to be compared.
- * @param {Array<string|{sentenceTwo: string, embedding: Array<number>}>} array - The array of sentences to be compared. Each element can be a string or an object with `sentenceTwo` and `embedding` properties.
- * @param {boolean} doesCache2Exist - Flag indicating whether the embeddings for the sentences in the array are cached.
- * @throws {Error} If the model is not loaded, an error is thrown.
- * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A Promise that resolves to an object containing the input sentence and the array of sentences with their similarity scores.
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} path - The file to write.
+ * @param {Array<{sentenceTwo: string, embedding: ArrayLike<number>}>} cachedArray - The cached array to save, as returned by `getCached`.
+ * @throws {Error} If the model is not loaded, or an embedding does not match the dimension of the loaded model.
+ * @returns {Promise<void>} A Promise that resolves once the file is written.
  *
  * @example
  * try {
- *   const result = await compareSentenceToArray(sentence, array, true);
- *   console.log(result);
+ *   await saveIndex("./catalogue.vfi", await getCached(descriptions));
  * } catch (error) {
  *   console.error(error);
  * }
  */
 
-const compareSentenceToArray = async (
-  sentence,
-  array,
-  doesCache2Exist = false,
-) => {
-  if (!doesCache2Exist && !model) {
+async function saveIndex(state, path, cachedArray) {
+  if (!state.provider) {
     modelNotLoadedErrorMessage();
     return;
   }
-  let cache = null;
-  array = [...array]; //Creating a copy, so that we don't alter the original;
-  for (let i = 0; i < array.length; i++) {
-    const { sentenceTwo, alike, embedding1Cache } = await classify(
-      sentence,
-      array[i].sentenceTwo ? array[i].sentenceTwo : array[i],
-      cache,
-      i !== 0,
-      array[i].embedding ? array[i].embedding : null,
-      doesCache2Exist,
-    );
-    if (i === 0) {
-      cache = embedding1Cache;
+  validateCachedArray(cachedArray);
+  const { id, dimension, pooling, normalize } = state.provider;
+  for (let i = 0; i < cachedArray.length; i++) {
+    if (cachedArray[i].embedding.length !== dimension) {
+      throw new Error(
+        `The embedding of "${cachedArray[i].sentenceTwo}" has dimension ${cachedArray[i].embedding.length}, but the loaded model "${id}" has dimension ${dimension}`,
+      );
     }
-    array[i] = { sentenceTwo: sentenceTwo, alike: alike };
   }
 
-  return {
-    sentenceOne: sentence,
-    array: array,
-  };
-};
+  const bytes = serializeIndex(cachedArray, {
+    modelId: id,
+    dimension,
+    pooling: pooling ?? null,
+    normalize: normalize ?? null,
+    profile: {
+      queryPrefix: state.profile.queryPrefix,
+      documentPrefix: state.profile.documentPrefix,
+    },
+  });
+  const { writeFile } = await import("fs/promises");
+  await writeFile(path, bytes);
+}
 
 /**
- * Asynchronously compares a sentence to an array of sentences and returns the results in order of similarity.
+ * Asynchronously loads a cached array saved by `saveIndex`.
  *
- * This function takes a sentence and an array of sentences as input. It uses the `compareSentenceToArray` function to calculate the cosine similarity between the input sentence and each sentence in the array.
- * The function then sorts the results in descending order of similarity and returns an object containing the input sentence and the sorted array of comparison results.
+ * If a model is loaded, the index must have been built with the same model id, dimension, pooling, normalization and encoding profile prefixes,
+ * since embeddings built otherwise are not comparable to the queries. Indexes saved before profiles were recorded are not checked for prefixes. By default a mismatch throws;
+ * `onModelMismatch: "warn"` notifies the `warning` listeners of the finder (see {@link on}), or emits a process warning if
+ * there are none, and returns the index anyway.
+ * This function uses the file system and is only available in Node.js.
  *
  * @async
  * @function
- * @param {string} sentence - The sentence to compare to the array of sentences.
- * @param {Array<string>} array - The array of sentences to compare to the input sentence.
- * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A Promise that resolves to an object containing the input sentence and an array of objects. Each object in the array contains:
- *   - `sentenceTwo`: A sentence from the input array.
- *   - `alike`: The cosine similarity score between the input sentence and `sentenceTwo`.
- *   The array is sorted in descending order of similarity score.
- * @throws {Error} If the model has not been loaded.
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} path - The file to read.
+ * @param {Object} [options] - Loading options.
+ * @param {"error"|"warn"} [options.onModelMismatch="error"] - What to do if the index was built with a different model or encoding than the loaded one.
+ * @throws {Error} If the file is not a valid index, or was built with a different model and `onModelMismatch` is `"error"`.
+ * @returns {Promise<Array<{sentenceTwo: string, embedding: Float32Array}>>} A Promise that resolves to the cached array, ready for `cachedArrayInOrder`.
  *
  * @example
  * try {
- *   const result = await arrayInOrder("This is a sentence.", ["This is another sentence.", "Yet another sentence."]);
- *   console.log(result);
+ *   const cachedArray = await loadIndex("./catalogue.vfi");
+ *   const result = await cachedArrayInOrder("red running shoes", cachedArray);
  * } catch (error) {
  *   console.error(error);
  * }
  */
 
-const arrayInOrder = async (sentence, array) => {
-  if (!model) {
+async function loadIndex(state, path, { onModelMismatch = "error" } = {}) {
+  const { readFile } = await import("fs/promises");
+  const { header, cachedArray } = deserializeIndex(await readFile(path));
+
+  const { provider, profile } = state;
+  if (!provider) {
+    return cachedArray;
+  }
+  const saved = {
+    model: header.modelId,
+    dimension: header.dimension,
+    pooling: header.pooling,
+    normalize: header.normalize,
+    queryPrefix: header.profile?.queryPrefix,
+    documentPrefix: header.profile?.documentPrefix,
+  };
+  const loaded = {
+    model: provider.id,
+    dimension: provider.dimension,
+    pooling: provider.pooling ?? null,
+    normalize: provider.normalize ?? null,
+    queryPrefix: profile.queryPrefix,
+    documentPrefix: profile.documentPrefix,
+  };
+  // Fields missing from indexes written by older versions are not checked
+  const differences = Object.keys(saved)
+    .filter(
+      (field) => saved[field] !== undefined && saved[field] !== loaded[field],
+    )
+    .map(
+      (field) =>
+        `${field} ${JSON.stringify(saved[field])} instead of ${JSON.stringify(loaded[field])}`,
+    );
+  if (differences.length > 0) {
+    const message = `The index "${path}" does not match the loaded model: it was built with ${differences.join(", ")}`;
+    if (onModelMismatch !== "warn") {
+      throw new Error(message);
+    }
+    if (state.listeners.warning.size === 0) {
+      // Nobody listens, so the mismatch is reported like any other warning of the process
+      process.emitWarning(message);
+    }
+    for (const listener of state.listeners.warning) {
+      listener({ message, path });
+    }
+  }
+
+  return cachedArray;
+}
+
+/**
+ * Asynchronously gets the top results from a list of sentences based on their similarity to a given sentence.
+ * This function is different from `getArrayInOrder` as it limits the results to the top 'numberOfResults' items.
+ *
+ * @async
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {string} sentence - The sentence to compare against.
+ * @param {Array<string|Object>} array - The array of sentences to compare. Cached items from `getCached` are accepted too.
+ * @param {number} numberOfResults - The number of top results to return. This parameter constrains the size of the returned array.
+ * @param {Object} [options] - The options of {@link search}, except `topK` which is `numberOfResults`.
+ * @throws {Error} Will throw an error if the model is not loaded or if numberOfResults is less than or equal to 0.
+ * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A promise that resolves to an object containing the original sentence and an array of the top results.
+ * The top results array contains objects with the properties 'sentenceTwo' and 'alike', where 'sentenceTwo' is a sentence from the input array and 'alike' is its similarity score to the original sentence.
+ */
+
+async function getTop(state, sentence, array, numberOfResults, options = {}) {
+  if (!state.provider) {
     modelNotLoadedErrorMessage();
     return;
   }
-  array = [...array]; //Creating a copy, so that we don't alter the original;
-  const { sentenceOne, array: returnedArray } = await compareSentenceToArray(
-    sentence,
-    array,
-    false,
-  );
 
-  returnedArray.sort((a, b) => b.alike - a.alike);
+  if (numberOfResults <= 0) {
+    throw new Error("numberOfResults is either 0 or less than 0");
+  }
+
+  return search(state, sentence, array, {
+    ...options,
+    topK: numberOfResults,
+    order: "desc",
+  });
+}
+
+/**
+ * Creates a seeded pseudo random number generator (mulberry32), so randomized builds are reproducible.
+ *
+ * @function
+ * @param {number} seed - The seed.
+ * @returns {function(): number} A function returning numbers in [0, 1).
+ */
+
+function createRandom(seed) {
+  let value = seed >>> 0;
+  return () => {
+    value = (value + 0x6d2b79f5) >>> 0;
+    let t = value;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Asynchronously embeds the items to group and packs their embeddings into one matrix.
+ *
+ * @async
+ * @function
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Array<string|Object>} items - Raw sentences, `{sentenceTwo, metadata}` objects or cached items.
+ * @param {Object} options - Batching options, see {@link getCached}.
+ * @returns {Promise<{items: Array<Object>, matrix: Float32Array, dimension: number}>} The cached items and their embeddings, one row each.
+ */
 
+async function embedForGrouping(state, items, options) {
+  const cachedItems = await cacheCorpus(state, items, {
+    batchSize: options.batchSize,
+    onBatch: options.onBatch,
+    signal: options.signal,
+  });
+  validateCachedArray(cachedItems);
+  const embeddings = cachedItems.map((item) => item.embedding);
   return {
-    sentenceOne: sentenceOne,
-    array: returnedArray,
+    items: cachedItems,
+    ...(getSharedMatrix(embeddings) || toMatrix(embeddings)),
   };
-};
+}
 
 /**
- * Returns the progress of the model loading process.
+ * Describes a group of items: its representative and how similar its members are.
  *
- * If the model is loading, it returns an Object that represents the progress of the model loading process.
+ * With normalized embeddings, the mean similarity of a member to the others is proportional to its dot product with the sum
+ * of all members, so the representative (the medoid) and the mean pairwise similarity are found without comparing every pair.
  *
  * @function
- * @returns {Object} The progress of the model loading process.
- *
- * @example
- * try {
- *   const progress = getProgress();
- *   console.log(progress);
- * } catch (error) {
- *   console.error(error);
- * }
+ * @param {Array<number>} indexes - The positions of the members in `items`.
+ * @param {Array<{sentenceTwo: string, metadata?: Object}>} items - The cached items.
+ * @param {Float32Array} matrix - The embeddings of the items, one row each.
+ * @param {number} dimension - The row length.
+ * @returns {{representative: Object, members: Array<{sentenceTwo: string, index: number, alike: number}>, alike: number}} The group. Members are sorted by their similarity to the representative, which comes first.
  */
 
-function getProgress() {
-  return progress;
+function summarizeGroup(indexes, items, matrix, dimension) {
+  const row = (index) =>
+    matrix.subarray(index * dimension, (index + 1) * dimension);
+  const sum = new Float64Array(dimension);
+  for (const index of indexes) {
+    const embedding = row(index);
+    for (let i = 0; i < dimension; i++) {
+      sum[i] += embedding[i];
+    }
+  }
+  let representative = indexes[0];
+  let best = -Infinity;
+  for (const index of indexes) {
+    const score = dotProduct(row(index), sum);
+    if (score > best) {
+      best = score;
+      representative = index;
+    }
+  }
+
+  const size = indexes.length;
+  const members = indexes.map((index) => {
+    const member = {
+      sentenceTwo: items[index].sentenceTwo,
+      index,
+      alike:
+        index === representative
+          ? 1
+          : dotProduct(row(index), row(representative)),
+    };
+    if (items[index].metadata !== undefined) {
+      member.metadata = items[index].metadata;
+    }
+    return member;
+  });
+  members.sort((a, b) => b.alike - a.alike);
+
+  return {
+    representative: members.find((member) => member.index === representative),
+    members,
+    alike: size === 1 ? 1 : (dotProduct(sum, sum) - size) / (size * (size - 1)),
+  };
 }
 
 /**
- * Compares two sentences using the loaded model.
+ * Asynchronously finds groups of near-identical items, e.g. support tickets or FAQ entries asking the same question.
  *
- * This function takes two sentences as input and uses the `classify` function to calculate the cosine similarity between them. If the model has not been loaded, it throws an error.
+ * Every pair of items is compared; pairs at least `threshold` similar are linked, and linked items form a group.
+ * Comparing every pair takes quadratic time, which is fine for some ten thousand items.
  *
  * @async
  * @function
- * @param {string} sentenceOne - The first sentence to compare.
- * @param {string} sentenceTwo - The second sentence to compare.
- * @returns {Promise<{sentenceOne: string, sentenceTwo: string, alike: number}>} A Promise that resolves to an object containing:
- *   - `sentenceOne`: The first input sentence.
- *   - `sentenceTwo`: The second input sentence.
- *   - `alike`: The cosine similarity score between `sentenceOne` and `sentenceTwo`.
- * @throws {Error} If the model has not been loaded.
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Array<string|Object>} items - The items: raw sentences, `{sentenceTwo, metadata}` objects or cached items from `getCached`.
+ * @param {Object} [options] - Duplicate and batching options.
+ * @param {number} [options.threshold=0.9] - The similarity from which two items are duplicates.
+ * @param {number} [options.batchSize=32] - The number of sentences embedded at once.
+ * @param {function({batch: number, batches: number, done: number, total: number}): void} [options.onBatch] - Called after every embedded batch.
+ * @throws {Error} If the model is not loaded, or `threshold` is not a number.
+ * @returns {Promise<Array<{representative: Object, members: Array<{sentenceTwo: string, index: number, alike: number}>, alike: number}>>} The groups of two or more items, largest first.
+ * `index` is the position of a member in `items`, its `alike` the similarity to the `representative`, and the `alike` of a group the mean similarity of its members.
  *
  * @example
  * try {
- *   const result = await compareTwoSentences("This is a sentence.", "This is another sentence.");
- *   console.log(result);
+ *   const groups = await findDuplicates(tickets, { threshold: 0.92 });
+ *   groups.forEach((group) => console.log(group.representative.sentenceTwo, group.members.length));
  * } catch (error) {
  *   console.error(error);
  * }
  */
 
-async function compareTwoSentences(sentenceOne, sentenceTwo) {
-  if (!model) {
+async function findDuplicates(state, items, options = {}) {
+  if (!state.provider) {
     modelNotLoadedErrorMessage();
     return;
   }
+  const { threshold = 0.9 } = options;
+  if (typeof threshold !== "number") {
+    throw new Error("threshold must be a number");
+  }
+  const embedded = await embedForGrouping(state, items, options);
+  const { matrix, dimension } = embedded;
+  const count = embedded.items.length;
 
-  const { alike } = await classify(
-    sentenceOne,
-    sentenceTwo,
-    null,
-    false,
-    null,
-    false,
-  );
+  const parents = Uint32Array.from({ length: count }, (_, i) => i);
+  const find = (i) => {
+    while (parents[i] !== i) {
+      parents[i] = parents[parents[i]];
+      i = parents[i];
+    }
+    return i;
+  };
+  for (let i = 0; i < count - 1; i++) {
+    const scores = scoreMatrix(
+      matrix.subarray(i * dimension, (i + 1) * dimension),
+      matrix.subarray((i + 1) * dimension),
+      dimension,
+      count - i - 1,
+    );
+    for (let j = 0; j < scores.length; j++) {
+      if (scores[j] >= threshold) {
+        parents[find(i + 1 + j)] = find(i);
+      }
+    }
+  }
 
-  return { sentenceOne, sentenceTwo, alike };
+  const groups = new Map();
+  for (let i = 0; i < count; i++) {
+    const root = find(i);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(i);
+  }
+  return [...groups.values()]
+    .filter((indexes) => indexes.length > 1)
+    .map((indexes) =>
+      summarizeGroup(indexes, embedded.items, matrix, dimension),
+    )
+    .sort((a, b) => b.members.length - a.members.length);
 }
 
 /**
- * Asynchronously generates embeddings for an array of sentences.
- *
- * This function takes an array of sentences as input.
- * It generates embeddings for each sentence in the array using the model.
- * It returns an array of objects, each containing a sentence and its corresponding embedding.
- *
- * Note: This function creates a copy of the input array to avoid altering the original.
+ * Groups items with spherical k-means: every item joins the centroid it is most similar to, until no item moves.
+ * Centroids are seeded with k-means++, and a centroid left without items is moved to the item furthest from its own centroid.
  *
- * @async
  * @function
- * @param {Array<string>} array - The array of sentences for which embeddings are to be generated.
- * @throws {Error} If the model is not loaded, an error is thrown.
- * @returns {Promise<Array<{sentenceTwo: string, embedding: Array<number>}>>} A Promise that resolves to an array of objects, each containing a sentence and its corresponding embedding.
+ * @param {Float32Array} matrix - The normalized embeddings, one row each.
+ * @param {number} dimension - The row length.
+ * @param {number} count - The number of rows.
+ * @param {number} k - The number of clusters.
+ * @param {number} maxIterations - The maximum number of assignment rounds.
+ * @param {function(): number} random - The random number generator.
+ * @returns {Array<Array<number>>} The rows of every non-empty cluster.
+ */
+
+function kMeans(matrix, dimension, count, k, maxIterations, random) {
+  const row = (index) =>
+    matrix.subarray(index * dimension, (index + 1) * dimension);
+  const centroids = new Float32Array(k * dimension);
+  const closest = new Float64Array(count).fill(-Infinity);
+  for (let c = 0; c < k; c++) {
+    let chosen = Math.floor(random() * count);
+    if (c > 0) {
+      // k-means++: pick items far from every centroid so far more often
+      const weights = Float64Array.from(closest, (alike) => (1 - alike) ** 2);
+      let target = random() * weights.reduce((sum, weight) => sum + weight, 0);
+      for (chosen = 0; chosen < count - 1; chosen++) {
+        target -= weights[chosen];
+        if (target < 0) {
+          break;
+        }
+      }
+    }
+    centroids.set(row(chosen), c * dimension);
+    const scores = scoreMatrix(row(chosen), matrix, dimension, count);
+    for (let i = 0; i < count; i++) {
+      closest[i] = Math.max(closest[i], scores[i]);
+    }
+  }
+
+  const assignments = new Int32Array(count).fill(-1);
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let moved = false;
+    const alike = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      const scores = scoreMatrix(row(i), centroids, dimension, k);
+      let best = 0;
+      for (let c = 1; c < k; c++) {
+        if (scores[c] > scores[best]) {
+          best = c;
+        }
+      }
+      alike[i] = scores[best];
+      if (assignments[i] !== best) {
+        assignments[i] = best;
+        moved = true;
+      }
+    }
+    if (!moved) {
+      break;
+    }
+
+    centroids.fill(0);
+    const sizes = new Uint32Array(k);
+    for (let i = 0; i < count; i++) {
+      const c = assignments[i];
+      sizes[c]++;
+      const embedding = row(i);
+      for (let d = 0; d < dimension; d++) {
+        centroids[c * dimension + d] += embedding[d];
+      }
+    }
+    for (let c = 0; c < k; c++) {
+      if (sizes[c] === 0) {
+        let furthest = 0;
+        for (let i = 1; i < count; i++) {
+          if (alike[i] < alike[furthest]) {
+            furthest = i;
+          }
+        }
+        alike[furthest] = Infinity;
+        centroids.set(row(furthest), c * dimension);
+      } else {
+        normalizeVector(centroids.subarray(c * dimension, (c + 1) * dimension));
+      }
+    }
+  }
+
+  const clusters = Array.from({ length: k }, () => []);
+  for (let i = 0; i < count; i++) {
+    clusters[assignments[i]].push(i);
+  }
+  return clusters.filter((indexes) => indexes.length > 0);
+}
+
+/**
+ * Groups items with average-linkage agglomerative clustering: starting from one cluster per item, the two clusters
+ * with the highest mean similarity between their members are merged, until no two clusters are `threshold` similar
+ * or only `k` clusters are left. It keeps the full similarity matrix in memory, so it suits some thousand items.
  *
- * @example
- * try {
- *   const result = await getCached(array);
- *   console.log(result);
- * } catch (error) {
- *   console.error(error);
- * }
+ * @function
+ * @param {Float32Array} matrix - The normalized embeddings, one row each.
+ * @param {number} dimension - The row length.
+ * @param {number} count - The number of rows.
+ * @param {number} threshold - The lowest similarity at which clusters are merged.
+ * @param {number} k - The number of clusters to stop at.
+ * @returns {Array<Array<number>>} The rows of every cluster.
  */
 
-async function getCached(array) {
-  if (!model) {
-    modelNotLoadedErrorMessage();
-    return;
+function agglomerate(matrix, dimension, count, threshold, k) {
+  const similarities = new Float32Array(count * count);
+  for (let i = 0; i < count; i++) {
+    similarities.set(
+      scoreMatrix(
+        matrix.subarray(i * dimension, (i + 1) * dimension),
+        matrix,
+        dimension,
+        count,
+      ),
+      i * count,
+    );
   }
-  array = [...array]; //Creating a copy, so that we don't alter the original;
-  let returnedArray = [];
-  for (let i = 0; i < array.length; i++) {
-    let embedding = await model(array[i], {
-      pooling: "mean",
-      normalize: true,
-    });
-    embedding = Array.from(embedding.data);
-    returnedArray[i] = { sentenceTwo: array[i], embedding: embedding };
+  const clusters = Array.from({ length: count }, (_, i) => [i]);
+  const active = new Uint8Array(count).fill(1);
+  const nearest = new Int32Array(count).fill(-1);
+  const findNearest = (a) => {
+    nearest[a] = -1;
+    for (let b = 0; b < count; b++) {
+      if (
+        b !== a &&
+        active[b] &&
+        (nearest[a] === -1 ||
+          similarities[a * count + b] > similarities[a * count + nearest[a]])
+      ) {
+        nearest[a] = b;
+      }
+    }
+  };
+  for (let a = 0; a < count; a++) {
+    findNearest(a);
   }
 
-  return returnedArray;
+  for (let remaining = count; remaining > k; remaining--) {
+    let a = -1;
+    for (let i = 0; i < count; i++) {
+      if (
+        active[i] &&
+        nearest[i] !== -1 &&
+        (a === -1 ||
+          similarities[i * count + nearest[i]] >
+            similarities[a * count + nearest[a]])
+      ) {
+        a = i;
+      }
+    }
+    if (a === -1 || similarities[a * count + nearest[a]] < threshold) {
+      break;
+    }
+
+    // Merge b into a; the similarity to the merged cluster is the size-weighted mean (Lance-Williams)
+    const b = nearest[a];
+    const sizeA = clusters[a].length;
+    const sizeB = clusters[b].length;
+    active[b] = 0;
+    for (let c = 0; c < count; c++) {
+      if (active[c] && c !== a) {
+        const merged =
+          (sizeA * similarities[a * count + c] +
+            sizeB * similarities[b * count + c]) /
+          (sizeA + sizeB);
+        similarities[a * count + c] = merged;
+        similarities[c * count + a] = merged;
+      }
+    }
+    clusters[a].push(...clusters[b]);
+    clusters[b] = null;
+    for (let c = 0; c < count; c++) {
+      if (!active[c]) {
+        continue;
+      }
+      if (c === a || nearest[c] === a || nearest[c] === b) {
+        findNearest(c);
+      } else if (
+        similarities[c * count + a] > similarities[c * count + nearest[c]]
+      ) {
+        nearest[c] = a;
+      }
+    }
+  }
+
+  return clusters.filter((indexes) => indexes !== null);
 }
 
 /**
- * Compares a sentence to an array of cached sentences.
+ * Asynchronously groups items by meaning.
+ *
+ * `kmeans` splits the items into `k` clusters. `agglomerative` merges similar items bottom-up until no two clusters are
+ * at least `threshold` similar (on average between their members), or until `k` clusters are left.
  *
  * @async
  * @function
- * @param {string} sentence - The sentence to compare.
- * @param {Array<{sentenceTwo: string, embedding: Array<number>}>} cachedArray - The array of cached sentences to compare against.
- * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} An object containing the original sentence and an array of comparison results.
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Array<string|Object>} items - The items: raw sentences, `{sentenceTwo, metadata}` objects or cached items from `getCached`.
+ * @param {Object} [options] - Clustering and batching options.
+ * @param {string} [options.method="kmeans"] - `kmeans` or `agglomerative`.
+ * @param {number} [options.k] - The number of clusters. Required by `kmeans`.
+ * @param {number} [options.threshold] - The similarity from which `agglomerative` merges clusters. `agglomerative` needs `threshold`, `k` or both.
+ * @param {number} [options.maxIterations=100] - The maximum number of `kmeans` rounds.
+ * @param {number} [options.seed=1] - Seed for the `kmeans` initialization, so runs are reproducible.
+ * @param {number} [options.batchSize=32] - The number of sentences embedded at once.
+ * @param {function({batch: number, batches: number, done: number, total: number}): void} [options.onBatch] - Called after every embedded batch.
+ * @throws {Error} If the model is not loaded, or the method or its options are invalid.
+ * @returns {Promise<Array<{representative: Object, members: Array<{sentenceTwo: string, index: number, alike: number}>, alike: number}>>} The clusters, largest first.
+ * The `representative` is the member with the highest mean similarity to the others; `index` is the position of a member in `items`, its `alike` the similarity to the representative,
+ * and the `alike` of a cluster the mean similarity of its members.
  *
  * @example
- * const result = await cachedCompareSentenceToArray('Hello world', cachedSentences);
- * console.log(result);
+ * try {
+ *   const clusters = await cluster(faqs, { method: "agglomerative", threshold: 0.85 });
+ *   clusters.forEach((c) => console.log(c.representative.sentenceTwo, c.members.length, c.alike));
+ * } catch (error) {
+ *   console.error(error);
+ * }
  */
 
-async function cachedCompareSentenceToArray(sentence, cachedArray) {
-  cachedArray.map((item) => {
-    if (!item.sentenceTwo) {
-      throw new Error(
-        "Each item in the cachedArray must have a sentenceTwo property",
-      );
-    }
-    return {
-      sentenceTwo: item.sentenceTwo,
-      embedding: [...item.embedding],
-    };
-  });
-  const { sentenceOne, array: returnedArray } = await compareSentenceToArray(
-    sentence,
-    cachedArray,
-    true,
-  );
+async function cluster(state, items, options = {}) {
+  if (!state.provider) {
+    modelNotLoadedErrorMessage();
+    return;
+  }
+  const {
+    method = "kmeans",
+    k = null,
+    threshold = null,
+    maxIterations = 100,
+    seed = 1,
+  } = options;
+  if (method !== "kmeans" && method !== "agglomerative") {
+    throw new Error(`Unsupported clustering method "${method}"`);
+  }
+  if (k !== null && (!Number.isInteger(k) || k <= 0)) {
+    throw new Error("k must be a positive integer");
+  }
+  if (method === "kmeans" && k === null) {
+    throw new Error("The kmeans method needs k");
+  }
+  if (method === "agglomerative" && k === null && threshold === null) {
+    throw new Error("The agglomerative method needs a threshold or k");
+  }
+  if (threshold !== null && typeof threshold !== "number") {
+    throw new Error("threshold must be a number");
+  }
 
-  return {
-    sentenceOne: sentenceOne,
-    array: returnedArray,
-  };
+  const embedded = await embedForGrouping(state, items, options);
+  const { matrix, dimension } = embedded;
+  const count = embedded.items.length;
+  if (count === 0) {
+    return [];
+  }
+  const clusters =
+    method === "kmeans"
+      ? kMeans(
+          matrix,
+          dimension,
+          count,
+          Math.min(k, count),
+          maxIterations,
+          createRandom(seed),
+        )
+      : agglomerate(
+          matrix,
+          dimension,
+          count,
+          threshold === null ? -Infinity : threshold,
+          k === null ? 1 : k,
+        );
+
+  return clusters
+    .map((indexes) =>
+      summarizeGroup(indexes, embedded.items, matrix, dimension),
+    )
+    .sort((a, b) => b.members.length - a.members.length);
 }
 
 /**
- * Asynchronously sorts an array of sentences based on their similarity to a given sentence.
- *
- * This function takes a sentence and an array of sentences as input.
- * It calculates the similarity between the input sentence and each sentence in the array.
- * It then sorts the array based on the similarity scores in descending order.
- * It returns an object containing the input sentence and the sorted array of sentences with their similarity scores.
+ * Builds an approximate nearest-neighbour index over a cached array.
  *
- * This function differs from `arrayInOrder` in that it expects the array of sentences to already have cached embeddings.
- * This function is useful when you have a large array of sentences and you want to cache their embeddings to avoid recalculating them each time you compare a new sentence to the array.
+ * `cachedArrayInOrder` and `getTop` score every item, which gets slow past tens of thousands of items.
+ * The index is a HNSW graph that only scores a small part of the corpus per query, trading a little recall for speed.
+ * `m`, `efConstruction` and `efSearch` tune that trade-off; `search(..., { exact: true })` scores every item instead,
+ * which is useful to measure the recall of the approximate search.
+ * A `filter` on the items' `metadata` is applied while traversing the graph, so up to `k` matching items are still returned.
  *
- * @async
  * @function
- * @param {string} sentence - The sentence to be compared.
- * @param {Array<string|{sentenceTwo: string, embedding: Array<number>}>} cachedArray - The array of sentences to be compared. Each element is a object with `sentenceTwo` and `embedding` properties.
- * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A Promise that resolves to an object containing the input sentence and the sorted array of sentences with their similarity scores.
+ * @param {FinderState} state - The finder the call runs on.
+ * @param {Array<{sentenceTwo: string, embedding: ArrayLike<number>}>} cachedArray - The cached array to index, as returned by `getCached`.
+ * @param {Object} [options] - Graph parameters.
+ * @param {number} [options.m=16] - The number of links per node. Higher values raise recall and memory use.
+ * @param {number} [options.efConstruction=200] - The candidate list size while building. Higher values build a better graph, more slowly.
+ * @param {number} [options.efSearch=50] - The default candidate list size while searching. Higher values raise recall and latency.
+ * @param {number} [options.seed=1] - Seed for the graph construction, so builds are reproducible.
+ * @throws {Error} If an item has no `sentenceTwo` or `embedding`, or the embeddings have different dimensions.
+ * @returns {{size: number, search: function(string, number=, Object=): Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>}} The index. `search(sentence, k = 10, { efSearch, exact, filter })` resolves to the top `k` results, most similar first.
  *
  * @example
  * try {
- *   const result = await cachedArrayInOrder(sentence, array);
+ *   const index = createAnnIndex(await getCached(catalogue), { efSearch: 100 });
+ *   const result = await index.search("red running shoes", 10);
  *   console.log(result);
  * } catch (error) {
  *   console.error(error);
  * }
  */
 
-async function cachedArrayInOrder(sentence, cachedArray) {
-  cachedArray.map((item) => {
-    if (!item.sentenceTwo) {
-      throw new Error(
-        "Each item in the cachedArray must have a sentenceTwo property",
-      );
-    }
-    return {
-      sentenceTwo: item.sentenceTwo,
-      embedding: [...item.embedding],
-    };
-  });
-  const { sentenceOne, array: returnedArray } = await compareSentenceToArray(
-    sentence,
-    cachedArray,
-    true,
-  );
+function createAnnIndex(state, cachedArray, options = {}) {
+  validateCachedArray(cachedArray);
+  const dimension = cachedArray.length
+    ? cachedArray[0].embedding.length
+    : state.provider && state.provider.dimension;
+  if (!dimension) {
+    throw new Error(
+      "Cannot build an index from an empty cachedArray before the model is loaded",
+    );
+  }
 
-  returnedArray.sort((a, b) => b.alike - a.alike);
+  const graph = new HnswIndex(dimension, options);
+  const items = [];
+  for (let i = 0; i < cachedArray.length; i++) {
+    graph.add(cachedArray[i].embedding);
+    const { embedding, ...item } = cachedArray[i];
+    items[i] = item;
+  }
 
   return {
-    sentenceOne: sentenceOne,
-    array: returnedArray,
+    get size() {
+      return graph.size;
+    },
+    async search(sentence, k = 10, { efSearch, exact = false, filter } = {}) {
+      if (!state.provider) {
+        modelNotLoadedErrorMessage();
+        return;
+      }
+      if (k <= 0) {
+        throw new Error("k is either 0 or less than 0");
+      }
+
+      let accept = null;
+      if (filter) {
+        const matches = compileFilter(filter);
+        accept = (id) => matches(items[id].metadata, items[id]);
+      }
+      const [embedding] = await embedTexts(state, [sentence], null, "query");
+      const nodes = exact
+        ? graph.searchExact(embedding, k, accept)
+        : graph.search(embedding, k, efSearch, accept);
+      return {
+        sentenceOne: sentence,
+        array: nodes.map(({ id, alike }) => ({ ...items[id], alike })),
+      };
+    },
   };
 }
 
 /**
- * Asynchronously gets the top results from a list of sentences based on their similarity to a given sentence.
- * This function is different from `getArrayInOrder` as it limits the results to the top 'numberOfResults' items.
- *
- * @async
- * @param {string} sentence - The sentence to compare against.
- * @param {Array<string>} array - The array of sentences to compare.
- * @param {number} numberOfResults - The number of top results to return. This parameter constrains the size of the returned array.
- * @throws {Error} Will throw an error if the model is not loaded or if numberOfResults is less than or equal to 0.
- * @returns {Promise<{sentenceOne: string, array: Array<{sentenceTwo: string, alike: number}>}>} A promise that resolves to an object containing the original sentence and an array of the top results.
- * The top results array contains objects with the properties 'sentenceTwo' and 'alike', where 'sentenceTwo' is a sentence from the input array and 'alike' is its similarity score to the original sentence.
+ * Class representing a binary heap ordered by a comparison function.
  */
+class BinaryHeap {
+  items = [];
 
-async function getTop(sentence, array, numberOfResults) {
-  if (!model) {
-    modelNotLoadedErrorMessage();
-    return;
+  /**
+   * Create a BinaryHeap.
+   * @param {function(Object, Object): boolean} isAbove - Returns `true` if the first item belongs closer to the top than the second.
+   */
+  constructor(isAbove) {
+    this.isAbove = isAbove;
   }
 
-  if (numberOfResults <= 0) {
-    throw new Error("numberOfResults is either 0 or less than 0");
+  /**
+   * The number of items in the heap.
+   * @return {number} The size.
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Get the top item without removing it.
+   * @return {Object|undefined} The top item.
+   */
+  peek() {
+    return this.items[0];
   }
 
-  const arrayCopy = [...array];
-  numberOfResults = Math.min(numberOfResults, arrayCopy.length);
-  const list = new LinkedListInAlikeOrder(numberOfResults);
-  let cache = null;
+  /**
+   * Add an item to the heap.
+   * @param {Object} item - The item to add.
+   */
+  push(item) {
+    const { items } = this;
+    items.push(item);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.isAbove(items[index], items[parent])) {
+        break;
+      }
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
 
-  for (let i = 0; i < array.length; i++) {
-    const { sentenceTwo, alike, embedding1Cache } = await classify(
-      sentence,
-      array[i],
-      cache,
-      i !== 0,
-      null,
-      false,
-    );
-    if (i === 0) {
-      cache = embedding1Cache;
+  /**
+   * Remove and return the top item.
+   * @return {Object|undefined} The top item.
+   */
+  pop() {
+    const { items } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      while (true) {
+        const left = 2 * index + 1;
+        const right = left + 1;
+        let next = index;
+        if (left < items.length && this.isAbove(items[left], items[next])) {
+          next = left;
+        }
+        if (right < items.length && this.isAbove(items[right], items[next])) {
+          next = right;
+        }
+        if (next === index) {
+          break;
+        }
+        [items[index], items[next]] = [items[next], items[index]];
+        index = next;
+      }
     }
-    list.addNode({ sentenceTwo: sentenceTwo, alike: alike });
+    return top;
   }
+}
+
+/**
+ * Keeps the `k` items with the highest `alike` seen so far in a min-heap, so selecting the top results of `n` items costs O(n log k).
+ *
+ * @function
+ * @param {number} k - The number of items to keep.
+ * @returns {{add: function(Object): void, getArray: function(): Array<Object>}} `add` offers an item with an `alike` property, `getArray` returns the kept items sorted by descending `alike`.
+ */
 
-  const resultantArray = list.getArray();
+function createTopK(k) {
+  const heap = new BinaryHeap((a, b) => a.alike < b.alike);
   return {
-    sentenceOne: sentence,
-    array: resultantArray,
+    add(item) {
+      if (heap.size < k) {
+        heap.push(item);
+      } else if (k > 0 && item.alike > heap.peek().alike) {
+        heap.pop();
+        heap.push(item);
+      }
+    },
+    getArray() {
+      return [...heap.items].sort((a, b) => b.alike - a.alike);
+    },
   };
 }
 
 /**
- * Class representing a doubly linked list with a maximum length.
+ * Class representing a Hierarchical Navigable Small World graph over normalized vectors, for approximate nearest-neighbour search by dot product.
+ *
+ * See Malkov & Yashunin, "Efficient and robust approximate nearest neighbor search using Hierarchical Navigable Small World graphs".
  */
-class LinkedListInAlikeOrder {
-  head = null;
-  tail = null;
-  length = 0;
-  maxLength = 0;
+class HnswIndex {
+  size = 0;
+  entryPoint = -1;
+  maxLevel = -1;
+  levels = [];
+  neighbors = [];
+
+  /**
+   * Create a HnswIndex.
+   * @param {number} dimension - The length of every vector.
+   * @param {Object} [options] - Graph parameters.
+   * @param {number} [options.m=16] - The number of links per node on upper layers (twice as many on the bottom layer). Higher values raise recall and memory use.
+   * @param {number} [options.efConstruction=200] - The candidate list size while building. Higher values build a better graph, more slowly.
+   * @param {number} [options.efSearch=50] - The default candidate list size while searching. Higher values raise recall and latency.
+   * @param {number} [options.seed=1] - Seed for the random level assignment, so builds are reproducible.
+   */
+  constructor(
+    dimension,
+    { m = 16, efConstruction = 200, efSearch = 50, seed = 1 } = {},
+  ) {
+    if (!Number.isInteger(m) || m < 2) {
+      throw new Error("m must be an integer of at least 2");
+    }
+    this.dimension = dimension;
+    this.m = m;
+    this.maxM0 = 2 * m;
+    this.efConstruction = Math.max(efConstruction, m);
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(m);
+    this.random = createRandom(seed);
+    this.vectors = new Float32Array(16 * dimension);
+    this.visited = new Uint32Array(16);
+    this.visitTag = 0;
+  }
+
+  /**
+   * Dot product of a vector with a stored vector.
+   * @param {ArrayLike<number>} vector - The vector.
+   * @param {number} id - The id of the stored vector.
+   * @return {number} The similarity.
+   * @private
+   */
+  _score(vector, id) {
+    const { vectors, dimension } = this;
+    let dot = 0;
+    for (let i = 0, offset = id * dimension; i < dimension; i++, offset++) {
+      dot += vector[i] * vectors[offset];
+    }
+    return dot;
+  }
+
+  /**
+   * Get a stored vector.
+   * @param {number} id - The id of the vector.
+   * @return {Float32Array} A view on the stored vector.
+   */
+  getVector(id) {
+    return this.vectors.subarray(
+      id * this.dimension,
+      (id + 1) * this.dimension,
+    );
+  }
+
+  /**
+   * Grow the storage so that one more vector fits.
+   * @private
+   */
+  _reserve() {
+    if ((this.size + 1) * this.dimension <= this.vectors.length) {
+      return;
+    }
+    const vectors = new Float32Array(this.vectors.length * 2);
+    vectors.set(this.vectors);
+    this.vectors = vectors;
+    const visited = new Uint32Array(this.visited.length * 2);
+    visited.set(this.visited);
+    this.visited = visited;
+  }
+
+  /**
+   * Greedy best-first search of one layer.
+   * @param {ArrayLike<number>} vector - The query vector.
+   * @param {Array<{id: number, alike: number}>} entryPoints - Where the search starts.
+   * @param {number} ef - The candidate list size.
+   * @param {number} level - The layer to search.
+   * @param {function(number): boolean} [accept] - Only nodes it accepts are returned; the others are still traversed.
+   * @return {Array<{id: number, alike: number}>} Up to `ef` nodes, most similar first.
+   * @private
+   */
+  _searchLayer(vector, entryPoints, ef, level, accept = null) {
+    this.visitTag++;
+    if (this.visitTag === 0xffffffff) {
+      this.visited.fill(0);
+      this.visitTag = 1;
+    }
+    const { visited, visitTag } = this;
+    const candidates = new BinaryHeap((a, b) => a.alike > b.alike);
+    const results = new BinaryHeap((a, b) => a.alike < b.alike);
+    for (let i = 0; i < entryPoints.length; i++) {
+      visited[entryPoints[i].id] = visitTag;
+      candidates.push(entryPoints[i]);
+      if (!accept || accept(entryPoints[i].id)) {
+        results.push(entryPoints[i]);
+      }
+    }
+
+    while (candidates.size > 0) {
+      const candidate = candidates.pop();
+      if (results.size >= ef && candidate.alike < results.peek().alike) {
+        break;
+      }
+      const links = this.neighbors[candidate.id][level];
+      for (let i = 0; i < links.length; i++) {
+        const id = links[i];
+        if (visited[id] === visitTag) {
+          continue;
+        }
+        visited[id] = visitTag;
+        const alike = this._score(vector, id);
+        if (results.size < ef || alike > results.peek().alike) {
+          candidates.push({ id, alike });
+          if (!accept || accept(id)) {
+            results.push({ id, alike });
+            if (results.size > ef) {
+              results.pop();
+            }
+          }
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b.alike - a.alike);
+  }
 
   /**
-   * Create a LinkedListInAlikeOrder.
-   * @param {number} maxLength - The maximum length of the linked list.
+   * Descend from the top layer to `level + 1`, keeping the single closest node.
+   * @param {ArrayLike<number>} vector - The query vector.
+   * @param {number} level - The layer to stop above.
+   * @return {Array<{id: number, alike: number}>} The entry point for `level`.
+   * @private
    */
-  constructor(maxLength) {
-    this.maxLength = maxLength;
+  _descend(vector, level) {
+    let entryPoints = [
+      { id: this.entryPoint, alike: this._score(vector, this.entryPoint) },
+    ];
+    for (let l = this.maxLevel; l > level; l--) {
+      entryPoints = this._searchLayer(vector, entryPoints, 1, l).slice(0, 1);
+    }
+    return entryPoints;
   }
 
   /**
-   * Create a new node.
-   * @param {Object} obj - The object to be added to the node. The object should have two properties: 'alike' and 'sentenceTwo'.
-   * @return {Object} The new node.
+   * Keep only the `maxLinks` most similar links of a node on a layer.
+   * @param {number} id - The node.
+   * @param {number} level - The layer.
+   * @param {number} maxLinks - The number of links to keep.
    * @private
    */
-  _node(obj) {
+  _prune(id, level, maxLinks) {
+    const vector = this.getVector(id);
+    this.neighbors[id][level] = this.neighbors[id][level]
+      .map((link) => ({ id: link, alike: this._score(vector, link) }))
+      .sort((a, b) => b.alike - a.alike)
+      .slice(0, maxLinks)
+      .map((link) => link.id);
+  }
+
+  /**
+   * Add a normalized vector to the graph.
+   * @param {ArrayLike<number>} vector - The vector, of length `dimension`.
+   * @return {number} The id of the vector, i.e. its insertion position.
+   */
+  add(vector) {
+    if (vector.length !== this.dimension) {
+      throw new Error(
+        `Expected a vector of dimension ${this.dimension}, got ${vector.length}`,
+      );
+    }
+    this._reserve();
+    const id = this.size++;
+    this.vectors.set(vector, id * this.dimension);
+    const level = Math.floor(
+      -Math.log(1 - this.random()) * this.levelMultiplier,
+    );
+    this.levels[id] = level;
+    this.neighbors[id] = Array.from({ length: level + 1 }, () => []);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return id;
+    }
+
+    let entryPoints = this._descend(vector, level);
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this._searchLayer(
+        vector,
+        entryPoints,
+        this.efConstruction,
+        l,
+      );
+      const maxLinks = l === 0 ? this.maxM0 : this.m;
+      this.neighbors[id][l] = found.slice(0, this.m).map((node) => node.id);
+      for (const link of this.neighbors[id][l]) {
+        this.neighbors[link][l].push(id);
+        if (this.neighbors[link][l].length > maxLinks) {
+          this._prune(link, l, maxLinks);
+        }
+      }
+      entryPoints = found;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = id;
+    }
+    return id;
+  }
+
+  /**
+   * Find the approximate `k` most similar vectors.
+   * @param {ArrayLike<number>} vector - The normalized query vector.
+   * @param {number} k - The number of results.
+   * @param {number} [ef=this.efSearch] - The candidate list size, raised to `k` if smaller.
+   * @param {function(number): boolean} [accept] - Only return vectors whose id it accepts.
+   * @return {Array<{id: number, alike: number}>} Up to `k` results, most similar first.
+   */
+  search(vector, k, ef = this.efSearch, accept = null) {
+    if (this.size === 0) {
+      return [];
+    }
+    const entryPoints = this._descend(vector, 0);
+    return this._searchLayer(
+      vector,
+      entryPoints,
+      Math.max(ef, k),
+      0,
+      accept,
+    ).slice(0, k);
+  }
+
+  /**
+   * Find the exact `k` most similar vectors by scoring every vector.
+   * @param {ArrayLike<number>} vector - The normalized query vector.
+   * @param {number} k - The number of results.
+   * @param {function(number): boolean} [accept] - Only return vectors whose id it accepts.
+   * @return {Array<{id: number, alike: number}>} Up to `k` results, most similar first.
+   */
+  searchExact(vector, k, accept = null) {
+    const top = createTopK(k);
+    for (let id = 0; id < this.size; id++) {
+      if (!accept || accept(id)) {
+        top.add({ id, alike: this._score(vector, id) });
+      }
+    }
+    return top.getArray();
+  }
+}
+
+/**
+ * Class representing a mutable corpus of documents with stable ids.
+ *
+ * Unlike a cached array, where items are only identified by their text, every entry has an id, so single documents can be
+ * added, replaced or removed without rebuilding the corpus, and documents with the same text stay distinct.
+ * Only new or changed texts are embedded, and each distinct text is embedded once.
+ * Entries can carry `metadata`, which searches can filter on.
+ * Embeddings are stored as rows of one matrix, which `search` scores in a single pass.
+ */
+class DocumentIndex {
+  ids = [];
+  sentences = [];
+  metadata = [];
+  slots = new Map();
+  idsByText = new Map();
+  matrix = new Float32Array(0);
+  dimension = 0;
+
+  /**
+   * Create a DocumentIndex.
+   * @param {FinderState} state - The finder used to embed texts and queries.
+   */
+  constructor(state) {
+    this.state = state;
+  }
+
+  /**
+   * The number of entries.
+   * @return {number} The size.
+   */
+  get size() {
+    return this.ids.length;
+  }
+
+  /**
+   * Check whether an entry exists.
+   * @param {string|number} id - The id of the entry.
+   * @return {boolean} `true` if the index has an entry with this id.
+   */
+  has(id) {
+    return this.slots.has(id);
+  }
+
+  /**
+   * Get an entry.
+   * @param {string|number} id - The id of the entry.
+   * @return {{id: string|number, sentenceTwo: string, embedding: Float32Array, metadata?: Object}|undefined} The entry, or `undefined` if there is none with this id.
+   */
+  get(id) {
+    const slot = this.slots.get(id);
+    return slot === undefined ? undefined : this._entry(slot);
+  }
+
+  /**
+   * Add new entries. Throws if an id already exists; use `upsert` to replace entries.
+   * @param {Array<{id: string|number, sentenceTwo: string, metadata?: Object, embedding?: ArrayLike<number>}>} entries - The entries. An `embedding` is used as is instead of embedding `sentenceTwo`.
+   * @param {Object} [options] - Batching options, see {@link getCached}.
+   * @return {Promise<number>} The number of added entries.
+   */
+  async add(entries, options = {}) {
+    this._checkEntries(entries);
+    this._checkNew(entries);
+    const embeddings = await this._embed(entries, options);
+    this._checkNew(entries);
+    this._checkDimensions(entries, embeddings);
+    for (let i = 0; i < entries.length; i++) {
+      this._insert(entries[i], embeddings[i]);
+    }
+    return entries.length;
+  }
+
+  /**
+   * Add entries, or replace the entries with the same ids. Entries whose text did not change are not embedded again, but their metadata is still replaced.
+   * @param {Array<{id: string|number, sentenceTwo: string, metadata?: Object, embedding?: ArrayLike<number>}>} entries - The entries. An `embedding` is used as is instead of embedding `sentenceTwo`.
+   * @param {Object} [options] - Batching options, see {@link getCached}.
+   * @return {Promise<{added: number, updated: number, unchanged: number}>} How many entries were added, updated, or already up to date.
+   */
+  async upsert(entries, options = {}) {
+    this._checkEntries(entries);
+    const changed = entries.filter(
+      (entry) =>
+        entry.embedding ||
+        !this.has(entry.id) ||
+        this.sentences[this.slots.get(entry.id)] !== entry.sentenceTwo,
+    );
+    const embeddings = await this._embed(changed, options);
+    this._checkDimensions(changed, embeddings);
+
+    let added = 0;
+    let updated = 0;
+    for (let i = 0; i < changed.length; i++) {
+      if (this.has(changed[i].id)) {
+        this._update(this.slots.get(changed[i].id), changed[i], embeddings[i]);
+        updated++;
+      } else {
+        this._insert(changed[i], embeddings[i]);
+        added++;
+      }
+    }
+    const changedEntries = new Set(changed);
+    for (const entry of entries) {
+      if (!changedEntries.has(entry) && this.has(entry.id)) {
+        this.metadata[this.slots.get(entry.id)] = entry.metadata;
+      }
+    }
+    return { added, updated, unchanged: entries.length - changed.length };
+  }
+
+  /**
+   * Remove entries. Ids that do not exist are ignored.
+   * @param {Array<string|number>} ids - The ids of the entries to remove.
+   * @return {number} The number of removed entries.
+   */
+  remove(ids) {
+    let removed = 0;
+    for (const id of ids) {
+      const slot = this.slots.get(id);
+      if (slot !== undefined) {
+        this._delete(slot);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Get the `k` entries most similar to a sentence.
+   * @param {string} sentence - The sentence to compare against.
+   * @param {number} [k=10] - The number of results.
+   * @param {Object} [options] - Search options.
+   * @param {function(Object, Object): boolean|Object} [options.filter] - Only consider entries whose `metadata` matches this filter, see {@link compileFilter}.
+   * @return {Promise<{sentenceOne: string, array: Array<{id: string|number, sentenceTwo: string, alike: number, metadata?: Object}>}>} The top results, most similar first.
+   */
+  async search(sentence, k = 10, { filter } = {}) {
+    if (!this.state.provider) {
+      modelNotLoadedErrorMessage();
+      return;
+    }
+    if (k <= 0) {
+      throw new Error("k is either 0 or less than 0");
+    }
+
+    const matches = filter ? compileFilter(filter) : null;
+    const [embedding] = await embedTexts(this.state, [sentence], null, "query");
+    const scores = scoreMatrix(
+      embedding,
+      this.matrix,
+      this.dimension,
+      this.size,
+    );
+    const top = createTopK(k);
+    for (let slot = 0; slot < scores.length; slot++) {
+      if (!matches || matches(this.metadata[slot], this._entry(slot))) {
+        top.add({ slot, alike: scores[slot] });
+      }
+    }
+
     return {
-      ...obj,
-      next: null,
-      prev: null,
+      sentenceOne: sentence,
+      array: top.getArray().map(({ slot, alike }) => {
+        const { embedding, ...entry } = this._entry(slot);
+        return { ...entry, alike };
+      }),
     };
   }
 
   /**
-   * Convert the linked list to an array.
-   * @return {Array<Object>} The array representation of the linked list.
+   * Convert the index to a cached array, e.g. for `saveIndex` or `createAnnIndex`.
+   * @return {Array<{id: string|number, sentenceTwo: string, embedding: Float32Array, metadata?: Object}>} The entries, with embeddings that are views on the index's matrix.
    */
-  getArray() {
-    let currentNode = this.head;
-    const array = [];
+  toCachedArray() {
+    return this.ids.map((id, slot) => this._entry(slot));
+  }
 
-    while (currentNode !== null) {
-      const { alike, sentenceTwo } = currentNode;
-      array.push({ alike, sentenceTwo });
-      currentNode = currentNode.next;
+  /**
+   * Build the public shape of the entry in a slot.
+   * @param {number} slot - The slot.
+   * @return {{id: string|number, sentenceTwo: string, embedding: Float32Array, metadata?: Object}} The entry.
+   * @private
+   */
+  _entry(slot) {
+    const entry = {
+      id: this.ids[slot],
+      sentenceTwo: this.sentences[slot],
+      embedding: this._row(slot),
+    };
+    if (this.metadata[slot] !== undefined) {
+      entry.metadata = this.metadata[slot];
     }
+    return entry;
+  }
 
-    return array;
+  /**
+   * Get the embedding in a slot.
+   * @param {number} slot - The slot.
+   * @return {Float32Array} A view on the row of the matrix.
+   * @private
+   */
+  _row(slot) {
+    return this.matrix.subarray(
+      slot * this.dimension,
+      (slot + 1) * this.dimension,
+    );
   }
 
   /**
-   * Get the index where the new node should be inserted.
-   * @param {number} alike - The 'alike' value of the new node.
-   * @return {number} The index where the new node should be inserted.
+   * Check that entries have ids and texts, and that no id appears twice.
+   * @param {Array<Object>} entries - The entries to check.
    * @private
    */
-  _getIndex(alike) {
-    let count = 0;
-    let currentNode = this.head;
-    while (count < this.maxLength) {
-      if (currentNode === null || currentNode.alike <= alike) {
-        return count;
+  _checkEntries(entries) {
+    const seen = new Set();
+    for (const entry of entries) {
+      if (entry.id === undefined || entry.id === null) {
+        throw new Error("Each entry must have an id property");
+      }
+      if (typeof entry.sentenceTwo !== "string") {
+        throw new Error("Each entry must have a sentenceTwo property");
       }
-      currentNode = currentNode.next;
-      count++;
+      if (seen.has(entry.id)) {
+        throw new Error(`The id "${entry.id}" appears more than once`);
+      }
+      seen.add(entry.id);
     }
-    return this.maxLength;
   }
 
   /**
-   * Add a new node to the linked list.
-   * @param {Object} obj - The object to be added as a new node.
+   * Check that none of the entries exists yet.
+   * @param {Array<Object>} entries - The entries to check.
+   * @private
    */
-  addNode(obj) {
-    if (this.head === null) {
-      this.head = this.tail = this._node(obj);
-      this.length++;
-      this._audit();
-      return;
+  _checkNew(entries) {
+    for (const entry of entries) {
+      if (this.has(entry.id)) {
+        throw new Error(
+          `An entry with the id "${entry.id}" already exists, use upsert() to replace it`,
+        );
+      }
     }
-    let index = this._getIndex(obj.alike);
-    this._insertAtIndex(index, obj);
   }
 
   /**
-   * Insert a new node at a specific index.
-   * @param {number} index - The index where the new node should be inserted.
-   * @param {Object} obj - The object to be added as a new node.
+   * Check that the embeddings of entries all have the dimension of the index, or of the first one for an empty index, so no entry of a rejected batch is stored.
+   * @param {Array<{id: string|number}>} entries - The entries.
+   * @param {Array<Float32Array>} embeddings - Their embeddings.
    * @private
    */
-  _insertAtIndex(index, obj) {
-    const newNode = this._node(obj);
-    let currentNode = this.head;
-    if (index === 0) {
-      newNode.next = this.head;
-      this.head.prev = newNode;
-      this.head = newNode;
-    } else if (index === this.length) {
-      this.tail.next = newNode;
-      newNode.prev = this.tail;
-      this.tail = newNode;
-    } else {
-      let count = 0;
-      while (count + 1 < index) {
-        currentNode = currentNode.next;
-        count++;
+  _checkDimensions(entries, embeddings) {
+    const dimension =
+      this.dimension || (embeddings.length > 0 ? embeddings[0].length : 0);
+    embeddings.forEach((embedding, i) => {
+      if (embedding.length !== dimension) {
+        throw new Error(
+          `The embedding of "${entries[i].id}" has dimension ${embedding.length}, expected ${dimension}`,
+        );
+      }
+    });
+  }
+
+  /**
+   * Get the embeddings of entries, reusing given embeddings and those of texts already in the index, and embedding every other distinct text once.
+   * @param {Array<{sentenceTwo: string, embedding?: ArrayLike<number>}>} entries - The entries.
+   * @param {Object} options - Batching options.
+   * @return {Promise<Array<Float32Array>>} One embedding per entry.
+   * @private
+   */
+  async _embed(entries, options) {
+    const embeddings = [];
+    const missing = new Map();
+    for (let i = 0; i < entries.length; i++) {
+      const { sentenceTwo, embedding } = entries[i];
+      const sameText = this.idsByText.get(sentenceTwo);
+      if (embedding) {
+        embeddings[i] = normalizeVector(Float32Array.from(embedding));
+      } else if (sameText) {
+        embeddings[i] = this._row(
+          this.slots.get(sameText.values().next().value),
+        );
+      } else if (!missing.has(sentenceTwo)) {
+        missing.set(sentenceTwo, [i]);
+      } else {
+        missing.get(sentenceTwo).push(i);
+      }
+    }
+
+    if (missing.size > 0) {
+      if (!this.state.provider) {
+        modelNotLoadedErrorMessage();
+      }
+      const texts = [...missing.keys()];
+      const computed = await embedInBatches(this.state, texts, options);
+      for (let i = 0; i < texts.length; i++) {
+        for (const index of missing.get(texts[i])) {
+          embeddings[index] = computed[i];
+        }
       }
-      newNode.next = currentNode.next;
-      currentNode.next.prev = newNode;
-      newNode.prev = currentNode;
-      currentNode.next = newNode;
     }
-    this.length++;
-    this._audit();
+
+    // Copy rows of the matrix, since inserting can move the matrix
+    return embeddings.map((embedding) =>
+      embedding.buffer === this.matrix.buffer ? embedding.slice() : embedding,
+    );
+  }
+
+  /**
+   * Add an entry in a new slot, growing the matrix if needed.
+   * @param {{id: string|number, sentenceTwo: string, metadata?: Object}} entry - The entry.
+   * @param {Float32Array} embedding - The embedding.
+   * @private
+   */
+  _insert({ id, sentenceTwo, metadata }, embedding) {
+    if (this.dimension === 0) {
+      this.dimension = embedding.length;
+    }
+    const slot = this.ids.length;
+    if ((slot + 1) * this.dimension > this.matrix.length) {
+      const matrix = new Float32Array(
+        Math.max(16, 2 * (slot + 1)) * this.dimension,
+      );
+      matrix.set(this.matrix);
+      this.matrix = matrix;
+    }
+
+    this.ids.push(id);
+    this.sentences.push(sentenceTwo);
+    this.metadata.push(metadata);
+    this.matrix.set(embedding, slot * this.dimension);
+    this.slots.set(id, slot);
+    this._linkText(sentenceTwo, id);
+  }
+
+  /**
+   * Replace the text, metadata and embedding in a slot.
+   * @param {number} slot - The slot.
+   * @param {{sentenceTwo: string, metadata?: Object}} entry - The new text and metadata.
+   * @param {Float32Array} embedding - The new embedding.
+   * @private
+   */
+  _update(slot, { sentenceTwo, metadata }, embedding) {
+    const id = this.ids[slot];
+    this._unlinkText(this.sentences[slot], id);
+    this.sentences[slot] = sentenceTwo;
+    this.metadata[slot] = metadata;
+    this.matrix.set(embedding, slot * this.dimension);
+    this._linkText(sentenceTwo, id);
+  }
+
+  /**
+   * Remove the entry in a slot by moving the last entry into it.
+   * @param {number} slot - The slot.
+   * @private
+   */
+  _delete(slot) {
+    const id = this.ids[slot];
+    this._unlinkText(this.sentences[slot], id);
+    this.slots.delete(id);
+
+    const last = this.ids.length - 1;
+    if (slot !== last) {
+      this.ids[slot] = this.ids[last];
+      this.sentences[slot] = this.sentences[last];
+      this.metadata[slot] = this.metadata[last];
+      this.matrix.copyWithin(
+        slot * this.dimension,
+        last * this.dimension,
+        (last + 1) * this.dimension,
+      );
+      this.slots.set(this.ids[slot], slot);
+    }
+    this.ids.pop();
+    this.sentences.pop();
+    this.metadata.pop();
   }
 
   /**
-   * Check if the linked list is longer than the maximum length.
-   * If it is, delete the last node.
+   * Record that an entry has a text.
+   * @param {string} sentenceTwo - The text.
+   * @param {string|number} id - The id of the entry.
    * @private
    */
-  _audit() {
-    if (this.length > this.maxLength) {
-      this._deleteLastNode();
+  _linkText(sentenceTwo, id) {
+    if (!this.idsByText.has(sentenceTwo)) {
+      this.idsByText.set(sentenceTwo, new Set());
     }
+    this.idsByText.get(sentenceTwo).add(id);
   }
 
   /**
-   * Delete the last node of the linked list.
+   * Forget that an entry has a text.
+   * @param {string} sentenceTwo - The text.
+   * @param {string|number} id - The id of the entry.
    * @private
    */
-  _deleteLastNode() {
-    const newTail = this.tail.prev;
-    this.tail.prev = null;
-    newTail.next = null;
-    this.tail = newTail;
-    this.length--;
+  _unlinkText(sentenceTwo, id) {
+    const ids = this.idsByText.get(sentenceTwo);
+    ids.delete(id);
+    if (ids.size === 0) {
+      this.idsByText.delete(sentenceTwo);
+    }
   }
 }
 
+/**
+ * Creates an independent finder.
+ *
+ * Every finder has its own model, progress state and caches, so several models can be used side by side in one process,
+ * e.g. a small model for autocomplete and a larger one for reranking. The methods do not depend on `this` and can be destructured.
+ *
+ * @function
+ * @param {Object} [options] - Defaults for the finder's `loadModel()` call. Accepts the same options as {@link loadModel}.
+ * @returns {{loadModel: function, loadReranker: function, getProgress: function, on: function, clearCache: function, getCacheStats: function, getModelInfo: function, compareTwoSentences: function, search: function, searchMany: function, searchStream: function, scoreStream: function, compareMany: function, findDuplicates: function, cluster: function, compareSentenceToArray: function, arrayInOrder: function, getCached: function, cachedCompareSentenceToArray: function, cachedArrayInOrder: function, saveIndex: function, loadIndex: function, createAnnIndex: function, createIndex: function, getTop: function}} The finder, with the same methods as {@link vagueFinder}.
+ *
+ * @example
+ * const autocomplete = createFinder({ model: "Supabase/gte-small" });
+ * const reranker = createFinder({ model: "Xenova/bge-base-en-v1.5" });
+ * await Promise.all([autocomplete.loadModel(), reranker.loadModel()]);
+ */
+
+function createFinder(options = {}) {
+  /** @type {FinderState} */
+  const state = {
+    provider: null,
+    status: "idle",
+    error: null,
+    loadingModel: false,
+    progress: null,
+    files: new Map(),
+    listeners: { progress: new Set(), state: new Set(), warning: new Set() },
+    pipelineLoader: new PipelineLoader(),
+    reranker: null,
+    rerankerLoader: new PipelineLoader("text-classification"),
+    modelOptions: { ...options },
+    embeddingCache: null,
+    profile: { ...DEFAULT_ENCODING_PROFILE },
+  };
+
+  return {
+    loadModel: (...args) => loadModel(state, ...args),
+    loadReranker: (...args) => loadReranker(state, ...args),
+    getProgress: () => getProgress(state),
+    on: (...args) => on(state, ...args),
+    clearCache: () => clearCache(state),
+    getCacheStats: () => getCacheStats(state),
+    getModelInfo: () => getModelInfo(state),
+    compareTwoSentences: (...args) => compareTwoSentences(state, ...args),
+    search: (...args) => search(state, ...args),
+    searchMany: (...args) => searchMany(state, ...args),
+    searchStream: (...args) => searchStream(state, ...args),
+    scoreStream: (...args) => scoreStream(state, ...args),
+    compareMany: (...args) => compareMany(state, ...args),
+    findDuplicates: (...args) => findDuplicates(state, ...args),
+    cluster: (...args) => cluster(state, ...args),
+    compareSentenceToArray: (...args) => compareSentenceToArray(state, ...args),
+    arrayInOrder: (...args) => arrayInOrder(state, ...args),
+    getCached: (...args) => getCached(state, ...args),
+    cachedCompareSentenceToArray: (...args) =>
+      cachedCompareSentenceToArray(state, ...args),
+    cachedArrayInOrder: (...args) => cachedArrayInOrder(state, ...args),
+    saveIndex: (...args) => saveIndex(state, ...args),
+    loadIndex: (...args) => loadIndex(state, ...args),
+    createAnnIndex: (...args) => createAnnIndex(state, ...args),
+    createIndex: () => new DocumentIndex(state),
+    getTop: (...args) => getTop(state, ...args),
+  };
+}
+
 /**
  * The `vagueFinder` object provides a set of methods for comparing sentences using a loaded model.
+ * It is the default finder created by {@link createFinder}; use `createFinder()` for additional, independent instances.
  *
  * @namespace
  * @property {function} loadModel - Loads the model. See {@link loadModel}.
+ * @property {function} loadReranker - Loads the cross-encoder used by the `rerank` option of searches. See {@link loadReranker}.
  * @property {function} getProgress - Returns the progress of the model loading process. See {@link getProgress}.
+ * @property {function} on - Subscribes to model loading progress and state changes. See {@link on}.
+ * @property {function} clearCache - Empties the embedding cache. See {@link clearCache}.
+ * @property {function} getCacheStats - Returns the size and hit/miss statistics of the embedding cache. See {@link getCacheStats}.
+ * @property {function} getModelInfo - Returns the id, dimension, pooling and normalization of the loaded model. See {@link getModelInfo}.
  * @property {function} compareTwoSentences - Compares two sentences using the loaded model. See {@link compareTwoSentences}.
+ * @property {function} search - Searches raw or cached sentences, with `topK`, `minScore` and sort order options. See {@link search}.
+ * @property {function} searchMany - Runs a search for every query of an array, embedding the corpus once. See {@link searchMany}.
+ * @property {function} searchStream - Finds the top results of an async iterable, keeping only them in memory. See {@link searchStream}.
+ * @property {function} scoreStream - Yields the results of an async iterable as they are scored. See {@link scoreStream}.
+ * @property {function} compareMany - Returns the similarity matrix of an array of queries against a corpus. See {@link compareMany}.
+ * @property {function} findDuplicates - Finds groups of near-identical items. See {@link findDuplicates}.
+ * @property {function} cluster - Groups items by meaning with k-means or agglomerative clustering. See {@link cluster}.
  * @property {function} compareSentenceToArray - Compares a sentence to an array of sentences using the loaded model. See {@link compareSentenceToArray}.
  * @property {function} arrayInOrder - Compares a sentence to an array of sentences using the loaded model and returns the results in order of similarity. See {@link arrayInOrder}.
  * @property {function} getCached - Returns a cached array. See {@link getCached}.
  * @property {function} cachedCompareSentenceToArray - Compare a sentence to an array of cached sentences. See {@link cachedCompareSentenceToArray}.
  * @property {function} cachedArrayInOrder - Compares a sentence to an array of cached senteces and returns the results in order of similarity. See {@link cachedArrayInOrder}.
+ * @property {function} saveIndex - Saves a cached array to disk. See {@link saveIndex}.
+ * @property {function} loadIndex - Loads a cached array saved by `saveIndex`. See {@link loadIndex}.
+ * @property {function} createAnnIndex - Builds an approximate nearest-neighbour index over a cached array. See {@link createAnnIndex}.
+ * @property {function} createIndex - Creates an empty mutable document index with ids. See {@link DocumentIndex}.
  * @property {function} getTop - Compares a sentence to an array of sentences using the loaded model and returns the top 'numberOfResults' results. The number of results is constrained by the 'numberOfResults' parameter. See {@link getTop}.
  */
 
-const vagueFinder = {
-  loadModel,
-  getProgress,
-  compareTwoSentences,
-  compareSentenceToArray,
-  arrayInOrder,
-  getCached,
-  cachedCompareSentenceToArray,
-  cachedArrayInOrder,
-  getTop,
-};
+const vagueFinder = createFinder();
 
-export { vagueFinder };
+export { vagueFinder, createFinder, compileFilter };
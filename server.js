@@ -0,0 +1,358 @@
+import { createServer } from "http";
+import { compileFilter, createFinder } from "./index.js";
+
+/**
+ * A small HTTP server sharing one loaded model with other services. It only uses the `http` module of Node.js.
+ *
+ * Endpoints (all bodies are JSON):
+ * - `GET /health` always answers `200` with the {@link getProgress} snapshot, for liveness checks.
+ * - `GET /ready` answers `200` once the model (and the `index`, if any) is loaded, `503` before, with the same snapshot.
+ * - `POST /embed` `{ texts, role? }` answers `{ model, dimension, embeddings }`. `role` is `document` (default) or `query`, see `getCached()`.
+ * - `POST /compare` `{ sentenceOne, sentenceTwo }` answers the result of `compareTwoSentences()`.
+ * - `POST /documents` `{ documents: [{ id, sentenceTwo, metadata? }] }` adds or replaces documents, answering `{ added, updated, unchanged, size }`.
+ * - `DELETE /documents` `{ ids }` removes documents, answering `{ removed, size }`.
+ * - `POST /search` `{ query, topK?, filter? }` answers the `topK` (default 10) documents most similar to `query`.
+ *
+ * Errors answer `{ error }` with status `400` for invalid requests, `404` and `405` for unknown routes, `413` for bodies
+ * over `maxBodySize`, `503` while the model is not loaded, and `500` if embedding fails.
+ */
+
+/**
+ * The options used by `startServer()` when none are passed.
+ *
+ * @constant
+ * @type {{port: number, host: string, index: ?string, maxBodySize: number}}
+ */
+const DEFAULT_SERVER_OPTIONS = {
+  port: 8080,
+  host: "127.0.0.1",
+  index: null,
+  maxBodySize: 1024 * 1024,
+};
+
+/**
+ * Creates an error answered with an HTTP status.
+ *
+ * @function
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The message, sent as `error`.
+ * @returns {Error} The error, with its `status`.
+ */
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Asynchronously reads the JSON body of a request.
+ *
+ * @async
+ * @function
+ * @param {import("http").IncomingMessage} request - The request.
+ * @param {number} maxBodySize - The largest accepted body, in bytes.
+ * @throws {Error} A `413` error if the body is too large, a `400` error if it is not a JSON object.
+ * @returns {Promise<Object>} The parsed body.
+ */
+
+async function readJson(request, maxBodySize) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    // Keep draining the request, so the error response can still be read by the client
+    if (size <= maxBodySize) {
+      chunks.push(chunk);
+    }
+  }
+  if (size > maxBodySize) {
+    throw httpError(413, `The body is larger than ${maxBodySize} bytes`);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (error) {
+    throw httpError(400, `The body is not valid JSON (${error.message})`);
+  }
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw httpError(400, "The body must be a JSON object");
+  }
+  return body;
+}
+
+/**
+ * Checks that a field of a request body is an array of strings.
+ *
+ * @function
+ * @param {Object} body - The body.
+ * @param {string} name - The name of the field.
+ * @throws {Error} A `400` error if it is not.
+ * @returns {Array<string>} The field.
+ */
+
+function requireStrings(body, name) {
+  const value = body[name];
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+    throw httpError(400, `${name} must be an array of strings`);
+  }
+  return value;
+}
+
+/**
+ * Checks the documents of a `POST /documents` body, so that only failures of the model are reported as server errors.
+ * Embedding lengths are checked by {@link requireDimension} once the model is loaded.
+ *
+ * @function
+ * @param {*} entries - The `documents` field.
+ * @throws {Error} A `400` error if it is not an array of documents with unique string or number ids, string texts and,
+ * if given, embeddings that are arrays of numbers.
+ */
+
+function requireDocuments(entries) {
+  if (!Array.isArray(entries)) {
+    throw httpError(400, "documents must be an array");
+  }
+  const ids = new Set();
+  for (const entry of entries) {
+    if (entry === null || typeof entry !== "object") {
+      throw httpError(400, "Each document must be an object");
+    }
+    if (typeof entry.id !== "string" && typeof entry.id !== "number") {
+      throw httpError(400, "Each document must have a string or number id");
+    }
+    if (typeof entry.sentenceTwo !== "string") {
+      throw httpError(400, `The document "${entry.id}" has no sentenceTwo`);
+    }
+    if (ids.has(entry.id)) {
+      throw httpError(400, `The id "${entry.id}" appears more than once`);
+    }
+    ids.add(entry.id);
+    if (
+      entry.embedding !== undefined &&
+      (!Array.isArray(entry.embedding) ||
+        entry.embedding.some((value) => !Number.isFinite(value)))
+    ) {
+      throw httpError(
+        400,
+        `The embedding of "${entry.id}" must be an array of numbers`,
+      );
+    }
+  }
+}
+
+/**
+ * Checks that the given embeddings of documents checked by {@link requireDocuments} fit the loaded model.
+ *
+ * @function
+ * @param {Array<{id: string|number, embedding?: Array<number>}>} entries - The documents.
+ * @param {number} dimension - The embedding dimension of the loaded model.
+ * @throws {Error} A `400` error if an embedding does not have `dimension` numbers.
+ */
+
+function requireDimension(entries, dimension) {
+  for (const entry of entries) {
+    if (entry.embedding !== undefined && entry.embedding.length !== dimension) {
+      throw httpError(
+        400,
+        `The embedding of "${entry.id}" must be an array of ${dimension} numbers`,
+      );
+    }
+  }
+}
+
+/**
+ * Answers a request with JSON.
+ *
+ * @function
+ * @param {import("http").ServerResponse} response - The response.
+ * @param {number} status - The HTTP status.
+ * @param {Object} body - The body.
+ */
+
+function sendJson(response, status, body) {
+  const json = JSON.stringify(body);
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(json),
+  });
+  response.end(json);
+}
+
+/**
+ * Asynchronously starts the search server.
+ *
+ * The server listens right away and loads the model in the background, so `/health` and `/ready` can report the
+ * progress. Documents live in memory, in a {@link DocumentIndex}; an `index` saved with `saveIndex()` can seed them.
+ *
+ * @async
+ * @function
+ * @param {Object} [options] - The server options, all optional.
+ * @param {number} [options.port=8080] - The port to listen on, `0` for any free port.
+ * @param {string} [options.host="127.0.0.1"] - The address to listen on. Use `0.0.0.0` to accept requests from other machines.
+ * @param {?string} [options.index=null] - An index file written by `saveIndex()`, loaded as the first documents. Items without an `id` get their position as id.
+ * @param {number} [options.maxBodySize=1048576] - The largest accepted request body, in bytes.
+ * @param {Object} [options.model] - The options of `loadModel()`.
+ * @param {Object} [options.finder] - The finder to use, e.g. one whose model is already loaded. By default a new finder is created.
+ * @throws {Error} If the server cannot listen on the port.
+ * @returns {Promise<{server: import("http").Server, url: string, finder: Object, documents: DocumentIndex, ready: Promise<void>, close: function(): Promise<void>}>}
+ * The server, its URL, the finder and document index behind it, a Promise that resolves once it is ready (or rejects if loading fails), and a function stopping it.
+ *
+ * @example
+ * const { url, ready } = await startServer({ port: 8080, model: { model: "Supabase/gte-small" } });
+ * await ready;
+ * console.log(`Listening on ${url}`);
+ */
+
+async function startServer(options = {}) {
+  const {
+    port,
+    host,
+    index,
+    maxBodySize,
+    model = {},
+    finder = createFinder(),
+  } = { ...DEFAULT_SERVER_OPTIONS, ...options };
+  const documents = finder.createIndex();
+  let indexLoaded = index === null;
+  let failure = null;
+
+  const readiness = () => {
+    const progress = finder.getProgress();
+    return {
+      ...progress,
+      error: failure ? failure.message : progress.error,
+      ready: progress.state === "ready" && indexLoaded,
+      documents: documents.size,
+    };
+  };
+  const requireModel = () => {
+    if (finder.getProgress().state !== "ready") {
+      throw httpError(503, "The model is not loaded yet, see /ready");
+    }
+  };
+
+  const routes = {
+    "GET /health": () => readiness(),
+    "GET /ready": () => readiness(),
+    "POST /embed": async (body) => {
+      const texts = requireStrings(body, "texts");
+      const { role = "document" } = body;
+      if (!["document", "query"].includes(role)) {
+        throw httpError(400, 'role must be "document" or "query"');
+      }
+      requireModel();
+      const cached = await finder.getCached(texts, { role });
+      const { id, dimension } = finder.getModelInfo();
+      return {
+        model: id,
+        dimension,
+        embeddings: cached.map(({ embedding }) => Array.from(embedding)),
+      };
+    },
+    "POST /compare": async ({ sentenceOne, sentenceTwo }) => {
+      if (typeof sentenceOne !== "string" || typeof sentenceTwo !== "string") {
+        throw httpError(400, "sentenceOne and sentenceTwo must be strings");
+      }
+      requireModel();
+      return finder.compareTwoSentences(sentenceOne, sentenceTwo);
+    },
+    "POST /documents": async ({ documents: entries }) => {
+      requireDocuments(entries);
+      requireModel();
+      requireDimension(entries, finder.getModelInfo().dimension);
+      const counts = await documents.upsert(entries);
+      return { ...counts, size: documents.size };
+    },
+    "DELETE /documents": async (body) => {
+      const { ids } = body;
+      if (!Array.isArray(ids)) {
+        throw httpError(400, "ids must be an array");
+      }
+      return { removed: documents.remove(ids), size: documents.size };
+    },
+    "POST /search": async ({ query, topK = 10, filter }) => {
+      if (typeof query !== "string") {
+        throw httpError(400, "query must be a string");
+      }
+      if (!Number.isInteger(topK) || topK <= 0) {
+        throw httpError(400, "topK must be a positive integer");
+      }
+      if (filter !== undefined && filter !== null) {
+        try {
+          compileFilter(filter);
+        } catch (error) {
+          throw httpError(400, error.message);
+        }
+      }
+      requireModel();
+      return documents.search(query, topK, { filter });
+    },
+  };
+
+  const server = createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    const route = routes[`${request.method} ${pathname}`];
+    try {
+      if (!route) {
+        const known = Object.keys(routes).some((key) =>
+          key.endsWith(` ${pathname}`),
+        );
+        throw known
+          ? httpError(405, `${request.method} is not supported on ${pathname}`)
+          : httpError(404, `No endpoint at ${pathname}`);
+      }
+      const body =
+        request.method === "GET" ? {} : await readJson(request, maxBodySize);
+      const result = await route(body);
+      const status = pathname === "/ready" && !result.ready ? 503 : 200;
+      sendJson(response, status, result);
+    } catch (error) {
+      sendJson(response, error.status || 500, { error: error.message });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+
+  const ready = (async () => {
+    if (finder.getProgress().state !== "ready") {
+      await finder.loadModel(model);
+    }
+    if (index !== null) {
+      const cached = await finder.loadIndex(index);
+      await documents.upsert(
+        cached.map((item, position) => ({
+          ...item,
+          id: item.id ?? position,
+        })),
+      );
+      indexLoaded = true;
+    }
+  })();
+  // The failure is reported by /ready, an unobserved rejection must not crash the process
+  ready.catch((error) => {
+    failure = error;
+  });
+
+  const address = server.address();
+  return {
+    server,
+    url: `http://${address.family === "IPv6" ? `[${address.address}]` : address.address}:${address.port}`,
+    finder,
+    documents,
+    ready,
+    close: () =>
+      new Promise((resolve, reject) =>
+        server.close((error) => (error ? reject(error) : resolve())),
+      ),
+  };
+}
+
+export { startServer };
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+const WORDS =
+  "red blue green yellow shoe shirt coat hat cat dog bird fish fast slow big small soft hard city river mountain lake road train car boat plane book pen desk lamp chair".split(
+    " ",
+  );
+
+/**
+ * Builds reproducible sentences of four words each.
+ *
+ * @function
+ * @param {number} count - The number of sentences.
+ * @param {number} seed - The seed of the word choice.
+ * @returns {Array<string>} The sentences.
+ */
+
+function makeSentences(count, seed) {
+  let state = seed;
+  const next = () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return WORDS[state % WORDS.length];
+  };
+  return Array.from(
+    { length: count },
+    (_, i) => `${next()} ${next()} ${next()} ${next()} ${i}`,
+  );
+}
+
+describe("createAnnIndex", () => {
+  let finder;
+  let cached;
+  before(async () => {
+    ({ finder } = await createTestFinder());
+    cached = await finder.getCached(
+      makeSentences(1000, 7).map((sentenceTwo, i) => ({
+        sentenceTwo,
+        metadata: { even: i % 2 === 0 },
+      })),
+    );
+  });
+
+  it("finds most of the exact top 10", async () => {
+    const index = finder.createAnnIndex(cached);
+    assert.equal(index.size, 1000);
+    let found = 0;
+    const queries = makeSentences(20, 99);
+    for (const query of queries) {
+      const exact = await index.search(query, 10, { exact: true });
+      const approximate = await index.search(query, 10);
+      const expected = new Set(exact.array.map((item) => item.sentenceTwo));
+      found += approximate.array.filter((item) =>
+        expected.has(item.sentenceTwo),
+      ).length;
+    }
+    assert.ok(found / (queries.length * 10) >= 0.9, `recall ${found / 200}`);
+  });
+
+  it("matches the exact search of cachedArrayInOrder", async () => {
+    const index = finder.createAnnIndex(cached);
+    const exact = await index.search("red shoe city", 5, { exact: true });
+    const reference = await finder.cachedArrayInOrder("red shoe city", cached);
+    assert.deepEqual(
+      exact.array.map((item) => item.sentenceTwo),
+      reference.array.slice(0, 5).map((item) => item.sentenceTwo),
+    );
+    for (let i = 1; i < exact.array.length; i++) {
+      assert.ok(exact.array[i - 1].alike >= exact.array[i].alike);
+    }
+  });
+
+  it("only returns items matching the filter", async () => {
+    const index = finder.createAnnIndex(cached);
+    const { array } = await index.search("blue coat", 10, {
+      filter: { even: true },
+    });
+    assert.equal(array.length, 10);
+    assert.ok(array.every((item) => item.metadata.even));
+  });
+
+  it("builds the same graph for the same seed", async () => {
+    const first = finder.createAnnIndex(cached, { seed: 3, efSearch: 10 });
+    const second = finder.createAnnIndex(cached, { seed: 3, efSearch: 10 });
+    assert.deepEqual(
+      await first.search("green lake", 10),
+      await second.search("green lake", 10),
+    );
+  });
+});
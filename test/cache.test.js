@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createTestFinder, createTestProvider } from "./provider.js";
+
+describe("embedding cache", () => {
+  it("is disabled by default", async () => {
+    const { finder, provider } = await createTestFinder();
+    await finder.compareTwoSentences("a query", "a query");
+    await finder.compareTwoSentences("a query", "another text");
+    assert.equal(provider.calls.flat().length, 4);
+    assert.deepEqual(finder.getCacheStats(), {
+      size: 0,
+      maxSize: 0,
+      hits: 0,
+      misses: 0,
+    });
+  });
+
+  it("embeds a repeated query once", async () => {
+    const { finder, provider } = await createTestFinder({ cacheSize: 10 });
+    const first = await finder.arrayInOrder("red shoes", ["a", "b"]);
+    const second = await finder.arrayInOrder("red shoes", ["a", "c"]);
+    assert.deepEqual(provider.calls, [["red shoes"], ["a", "b"], ["c"]]);
+    assert.deepEqual(
+      first.array.find((item) => item.sentenceTwo === "a"),
+      second.array.find((item) => item.sentenceTwo === "a"),
+    );
+    assert.deepEqual(finder.getCacheStats(), {
+      size: 4,
+      maxSize: 10,
+      hits: 2,
+      misses: 4,
+    });
+  });
+
+  it("evicts the least recently used entries", async () => {
+    const { finder, provider } = await createTestFinder({ cacheSize: 2 });
+    await finder.getCached(["a"]);
+    await finder.getCached(["b"]);
+    // Using "a" again makes "b" the least recently used entry
+    await finder.getCached(["a"]);
+    await finder.getCached(["c"]);
+    provider.calls.length = 0;
+    await finder.getCached(["a", "c", "b"]);
+    assert.deepEqual(provider.calls, [["b"]]);
+    assert.equal(finder.getCacheStats().size, 2);
+  });
+
+  it("shrinks or disables the cache when the model is loaded again", async () => {
+    const { finder, provider } = await createTestFinder({ cacheSize: 3 });
+    await finder.getCached(["a", "b", "c"]);
+    await finder.loadModel({ provider, cacheSize: 1 });
+    assert.equal(finder.getCacheStats().size, 1);
+    provider.calls.length = 0;
+    await finder.getCached(["c", "a"]);
+    assert.deepEqual(provider.calls, [["a"]]);
+
+    await finder.loadModel({ provider, cacheSize: 0 });
+    await finder.getCached(["a"]);
+    assert.deepEqual(finder.getCacheStats(), {
+      size: 0,
+      maxSize: 0,
+      hits: 0,
+      misses: 0,
+    });
+  });
+
+  it("empties the cache and its statistics on clearCache", async () => {
+    const { finder, provider } = await createTestFinder({ cacheSize: 10 });
+    await finder.getCached(["a", "a"]);
+    finder.clearCache();
+    assert.deepEqual(finder.getCacheStats(), {
+      size: 0,
+      maxSize: 10,
+      hits: 0,
+      misses: 0,
+    });
+    await finder.getCached(["a"]);
+    assert.deepEqual(provider.calls, [["a"], ["a"]]);
+  });
+
+  it("keeps the embeddings of different models apart", async () => {
+    const { finder } = await createTestFinder({ cacheSize: 10 });
+    await finder.getCached(["a"]);
+    const other = createTestProvider({ id: "test/other" });
+    await finder.loadModel({ provider: other });
+    await finder.getCached(["a"]);
+    assert.deepEqual(other.calls, [["a"]]);
+  });
+
+  it("drops the embeddings of a replaced provider with the same id", async () => {
+    const { finder } = await createTestFinder({ cacheSize: 10 });
+    await finder.getCached(["a"]);
+    // Another revision or quantization of a model keeps its id
+    const other = createTestProvider({ dimension: 32 });
+    await finder.loadModel({ provider: other });
+    assert.equal(finder.getCacheStats().size, 0);
+    const [{ embedding }] = await finder.getCached(["a"]);
+    assert.equal(embedding.length, 32);
+    assert.deepEqual(other.calls, [["a"]]);
+  });
+
+  it("rejects an invalid cacheSize", async () => {
+    await assert.rejects(
+      createTestFinder({ cacheSize: -1 }),
+      /cacheSize must be a non-negative integer/,
+    );
+  });
+});
@@ -0,0 +1,140 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createFinder } from "../index.js";
+import { createTestProvider } from "./provider.js";
+
+const article = [
+  "Apples grow on trees in the orchard.",
+  "Bananas ripen fast in warm kitchens.",
+  "Cherries need a cold winter first.",
+  "Dates come from palms in the desert.",
+].join(" ");
+
+/**
+ * Asynchronously creates a finder whose provider counts one token per word.
+ *
+ * @async
+ * @function
+ * @returns {Promise<{finder: Object, provider: Object}>} The finder and its provider.
+ */
+
+async function createWordFinder() {
+  const finder = createFinder();
+  const provider = {
+    ...createTestProvider(),
+    countTokens: (text) => text.split(/\s+/).filter(Boolean).length,
+  };
+  await finder.loadModel({ provider });
+  return { finder, provider };
+}
+
+/**
+ * Scores a passage embedding against a query embedding.
+ *
+ * @function
+ * @param {Float32Array} query - The query embedding.
+ * @param {Float32Array} embedding - The passage embedding.
+ * @returns {number} The dot product.
+ */
+
+function score(query, embedding) {
+  return query.reduce((sum, value, i) => sum + value * embedding[i], 0);
+}
+
+describe("chunking", () => {
+  it("packs whole sentences into passages with overlap", async () => {
+    const { finder, provider } = await createWordFinder();
+    const [{ passages }] = await finder.getCached([article], {
+      chunking: { maxTokens: 14, overlap: 1 },
+    });
+    const texts = passages.map(({ start, end }) => article.slice(start, end));
+    assert.deepEqual(texts, [
+      "Apples grow on trees in the orchard. Bananas ripen fast in warm kitchens.",
+      "Bananas ripen fast in warm kitchens. Cherries need a cold winter first.",
+      "Cherries need a cold winter first. Dates come from palms in the desert.",
+    ]);
+    assert.deepEqual(provider.calls.flat(), texts);
+  });
+
+  it("reports the best passage of every result with its offsets", async () => {
+    const { finder } = await createWordFinder();
+    const { array } = await finder.arrayInOrder(
+      "cold winter cherries",
+      [article, "nothing to see here"],
+      { chunking: { maxTokens: 7, overlap: 0 } },
+    );
+    const [{ sentenceTwo, alike, passage }] = array;
+    assert.equal(sentenceTwo, article);
+    assert.equal(passage.text, "Cherries need a cold winter first.");
+    assert.equal(article.slice(passage.start, passage.end), passage.text);
+    assert.equal(passage.alike, alike);
+  });
+
+  it("splits paragraphs and sentences longer than the budget", async () => {
+    const { finder } = await createWordFinder();
+    const text = "one two three four five six seven\n\nthe last paragraph";
+    const [{ passages }] = await finder.getCached([text], {
+      chunking: { by: "paragraph", maxTokens: 3, overlap: 0 },
+    });
+    assert.deepEqual(
+      passages.map(({ start, end }) => text.slice(start, end)),
+      ["one two three", "four five six", "seven", "the last paragraph"],
+    );
+    const [{ passages: empty }] = await finder.getCached(["   "], {
+      chunking: true,
+    });
+    assert.deepEqual(
+      empty.map(({ start, end }) => [start, end]),
+      [[0, 3]],
+    );
+  });
+
+  it("aggregates passage scores by max, mean or top-n", async () => {
+    const { finder } = await createWordFinder();
+    const cached = await finder.getCached([article], {
+      chunking: { maxTokens: 7, overlap: 0 },
+    });
+    const [{ embedding: query }] = await finder.getCached(["warm apples"]);
+    const scores = cached[0].passages
+      .map(({ embedding }) => score(query, embedding))
+      .sort((a, b) => b - a);
+    const aggregated = async (chunking) =>
+      (await finder.cachedArrayInOrder("warm apples", cached, { chunking }))
+        .array[0].alike;
+
+    assert.ok(Math.abs((await aggregated(true)) - scores[0]) < 1e-6);
+    const mean = scores.reduce((a, b) => a + b) / scores.length;
+    assert.ok(
+      Math.abs((await aggregated({ aggregate: "mean" })) - mean) < 1e-6,
+    );
+    assert.ok(
+      Math.abs(
+        (await aggregated({ aggregate: "top-n", topN: 2 })) -
+          (scores[0] + scores[1]) / 2,
+      ) < 1e-6,
+    );
+  });
+
+  it("rejects invalid options and chunked arrays where they cannot be used", async () => {
+    const { finder } = await createWordFinder();
+    await assert.rejects(
+      finder.getCached([article], { chunking: { by: "word" } }),
+      /Unsupported chunking "word"/,
+    );
+    await assert.rejects(
+      finder.getCached([article], { chunking: { maxTokens: 0 } }),
+      /maxTokens must be a positive integer/,
+    );
+    await assert.rejects(
+      finder.arrayInOrder("a", [article], {
+        chunking: { aggregate: "median" },
+      }),
+      /Unsupported aggregate "median"/,
+    );
+    const cached = await finder.getCached([article], { chunking: true });
+    assert.throws(
+      () => finder.createAnnIndex(cached),
+      /Cached arrays built with the chunking option/,
+    );
+  });
+});
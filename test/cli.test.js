@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseCsv, parseItems } from "../cli.js";
+
+describe("parseCsv", () => {
+  it("splits plain records", () => {
+    assert.deepEqual(parseCsv("a,b,c\n1,2,3\n"), [
+      { fields: ["a", "b", "c"], line: 1 },
+      { fields: ["1", "2", "3"], line: 2 },
+    ]);
+  });
+
+  it("reads quoted commas, doubled quotes and line breaks", () => {
+    const records = parseCsv(
+      'id,text\n1,"hello, world"\n2,"she said ""hi"""\n3,"two\nlines"\n4,last',
+    );
+    assert.deepEqual(
+      records.map((record) => record.fields),
+      [
+        ["id", "text"],
+        ["1", "hello, world"],
+        ["2", 'she said "hi"'],
+        ["3", "two\nlines"],
+        ["4", "last"],
+      ],
+    );
+    // A record starts on the line of its first field, even after a quoted line break
+    assert.deepEqual(
+      records.map((record) => record.line),
+      [1, 2, 3, 4, 6],
+    );
+  });
+
+  it("handles CRLF line endings, empty fields and empty lines", () => {
+    assert.deepEqual(parseCsv("a,,c\r\n\r\n,b,\r\n"), [
+      { fields: ["a", "", "c"], line: 1 },
+      { fields: ["", "b", ""], line: 3 },
+    ]);
+  });
+
+  it("returns no records for empty text", () => {
+    assert.deepEqual(parseCsv(""), []);
+  });
+});
+
+describe("parseItems", () => {
+  it("reads one item per non-empty line of text", () => {
+    assert.deepEqual(
+      parseItems("first\n\nsecond\n", { source: "a.txt", format: "text" }),
+      [
+        { sentenceTwo: "first", metadata: { source: "a.txt", line: 1 } },
+        { sentenceTwo: "second", metadata: { source: "a.txt", line: 3 } },
+      ],
+    );
+  });
+
+  it("reads a CSV column by name, or the first one", () => {
+    const csv = 'id,text\n1,"red, shoes"\n2,blue coat\n';
+    assert.deepEqual(
+      parseItems(csv, { source: "c.csv", format: "csv", field: "text" }).map(
+        (item) => [item.sentenceTwo, item.metadata.line],
+      ),
+      [
+        ["red, shoes", 2],
+        ["blue coat", 3],
+      ],
+    );
+    assert.deepEqual(
+      parseItems(csv, { source: "c.csv", format: "csv" }).map(
+        (item) => item.sentenceTwo,
+      ),
+      ["1", "2"],
+    );
+    assert.throws(
+      () => parseItems(csv, { source: "c.csv", format: "csv", field: "x" }),
+      /c\.csv has no column "x"/,
+    );
+  });
+
+  it("reads JSONL records by a dot path", () => {
+    assert.deepEqual(
+      parseItems('{"text":"plain"}\n"a string"\n', {
+        source: "b.jsonl",
+        format: "jsonl",
+      }).map((item) => item.sentenceTwo),
+      ["plain", "a string"],
+    );
+    assert.deepEqual(
+      parseItems('{"doc":{"body":"nested"}}', {
+        source: "b.jsonl",
+        format: "jsonl",
+        field: "doc.body",
+      }).map((item) => item.sentenceTwo),
+      ["nested"],
+    );
+  });
+
+  it("names the file and line of invalid records", () => {
+    assert.throws(
+      () =>
+        parseItems('{"text":"ok"}\n{"title":"x"}', {
+          source: "b.jsonl",
+          format: "jsonl",
+        }),
+      /b\.jsonl:2 has no text in field "text"/,
+    );
+    assert.throws(
+      () => parseItems("{oops", { source: "b.jsonl", format: "jsonl" }),
+      /b\.jsonl:1 is not valid JSON/,
+    );
+    assert.throws(
+      () => parseItems("a", { source: "a", format: "xml" }),
+      /Unsupported format "xml"/,
+    );
+  });
+});
@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+const topics = {
+  pets: ["cat dog pet food", "dog cat pet toy", "pet cat dog bed"],
+  travel: [
+    "train plane travel ticket",
+    "plane travel train hotel",
+    "travel ticket plane train",
+  ],
+  cooking: [
+    "pasta sauce recipe cook",
+    "cook recipe pasta oven",
+    "recipe sauce cook pasta",
+  ],
+};
+const items = Object.values(topics).flat();
+
+/**
+ * Lists the groups as sorted sets of texts, independent of their order.
+ *
+ * @function
+ * @param {Array<{members: Array<{sentenceTwo: string}>}>} groups - The groups.
+ * @returns {Array<Array<string>>} The texts of every group.
+ */
+
+function groupTexts(groups) {
+  return groups
+    .map((group) => group.members.map((member) => member.sentenceTwo).sort())
+    .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+const expected = groupTexts(
+  Object.values(topics).map((texts) => ({
+    members: texts.map((sentenceTwo) => ({ sentenceTwo })),
+  })),
+);
+
+describe("cluster", () => {
+  it("splits items into k topics with k-means", async () => {
+    const { finder } = await createTestFinder();
+    const clusters = await finder.cluster(items, { k: 3 });
+    assert.equal(clusters.length, 3);
+    assert.deepEqual(groupTexts(clusters), expected);
+  });
+
+  it("is reproducible for the same seed", async () => {
+    const { finder } = await createTestFinder();
+    assert.deepEqual(
+      await finder.cluster(items, { k: 2, seed: 5 }),
+      await finder.cluster(items, { k: 2, seed: 5 }),
+    );
+  });
+
+  it("merges similar items with agglomerative clustering", async () => {
+    const { finder } = await createTestFinder();
+    const byThreshold = await finder.cluster(items, {
+      method: "agglomerative",
+      threshold: 0.5,
+    });
+    assert.deepEqual(groupTexts(byThreshold), expected);
+
+    const byCount = await finder.cluster(items, {
+      method: "agglomerative",
+      k: 3,
+    });
+    assert.deepEqual(groupTexts(byCount), expected);
+  });
+
+  it("describes every cluster", async () => {
+    const { finder } = await createTestFinder();
+    const clusters = await finder.cluster(
+      items.map((sentenceTwo, i) => ({ sentenceTwo, metadata: { i } })),
+      { k: 3 },
+    );
+    for (const { representative, members, alike } of clusters) {
+      assert.ok(members.includes(representative));
+      assert.ok(alike > 0.5 && alike <= 1);
+      for (const member of members) {
+        assert.equal(items[member.index], member.sentenceTwo);
+        assert.equal(member.metadata.i, member.index);
+      }
+    }
+  });
+
+  it("rejects invalid options", async () => {
+    const { finder } = await createTestFinder();
+    await assert.rejects(finder.cluster(items, {}));
+    await assert.rejects(finder.cluster(items, { k: 0 }));
+    await assert.rejects(finder.cluster(items, { method: "agglomerative" }));
+  });
+});
+
+describe("findDuplicates", () => {
+  it("groups near-identical items", async () => {
+    const { finder } = await createTestFinder();
+    const groups = await finder.findDuplicates(
+      [
+        "how do I reset my password",
+        "a completely different question",
+        "how do I reset my password?",
+        "reset my password how do I",
+      ],
+      { threshold: 0.95 },
+    );
+    assert.equal(groups.length, 1);
+    assert.deepEqual(
+      groups[0].members.map((member) => member.index).sort(),
+      [0, 2, 3],
+    );
+  });
+});
@@ -0,0 +1,157 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+const texts = (provider) => provider.calls.flat();
+
+describe("DocumentIndex", () => {
+  it("adds entries and finds them by id and by similarity", async () => {
+    const { finder } = await createTestFinder();
+    const index = finder.createIndex();
+    assert.equal(
+      await index.add([
+        { id: 1, sentenceTwo: "red running shoes", metadata: { stock: 3 } },
+        { id: "b", sentenceTwo: "blue winter coat" },
+      ]),
+      2,
+    );
+    assert.equal(index.size, 2);
+    assert.ok(index.has("b"));
+    assert.deepEqual(index.get(1).metadata, { stock: 3 });
+    assert.equal(index.get("missing"), undefined);
+
+    const { array } = await index.search("running shoes", 1);
+    assert.deepEqual(
+      array.map(({ id, sentenceTwo, metadata }) => ({
+        id,
+        sentenceTwo,
+        metadata,
+      })),
+      [{ id: 1, sentenceTwo: "red running shoes", metadata: { stock: 3 } }],
+    );
+  });
+
+  it("rejects duplicate and existing ids on add", async () => {
+    const { finder } = await createTestFinder();
+    const index = finder.createIndex();
+    await assert.rejects(
+      index.add([
+        { id: 1, sentenceTwo: "a" },
+        { id: 1, sentenceTwo: "b" },
+      ]),
+      /appears more than once/,
+    );
+    await index.add([{ id: 1, sentenceTwo: "a" }]);
+    await assert.rejects(
+      index.add([{ id: 1, sentenceTwo: "b" }]),
+      /already exists/,
+    );
+    await assert.rejects(index.add([{ sentenceTwo: "no id" }]), /an id/);
+  });
+
+  it("rejects a whole batch with an embedding of the wrong dimension", async () => {
+    const { finder } = await createTestFinder();
+    const index = finder.createIndex();
+    await index.add([{ id: 1, sentenceTwo: "first text" }]);
+    const before = index.get(1).embedding.slice();
+
+    await assert.rejects(
+      index.add([
+        { id: 2, sentenceTwo: "second text" },
+        { id: 3, sentenceTwo: "third text", embedding: [1, 0, 0] },
+      ]),
+      /The embedding of "3" has dimension 3, expected 64/,
+    );
+    await assert.rejects(
+      index.upsert([
+        { id: 1, sentenceTwo: "first text changed" },
+        { id: 4, sentenceTwo: "fourth text" },
+        { id: 5, sentenceTwo: "fifth text", embedding: [0, 1] },
+      ]),
+      /The embedding of "5" has dimension 2, expected 64/,
+    );
+    assert.equal(index.size, 1);
+    assert.equal(index.get(1).sentenceTwo, "first text");
+    assert.deepEqual(index.get(1).embedding, before);
+    assert.equal(index.has(2), false);
+    assert.equal(index.has(4), false);
+  });
+
+  it("only embeds new or changed texts on upsert", async () => {
+    const { finder, provider } = await createTestFinder();
+    const index = finder.createIndex();
+    await index.add([
+      { id: 1, sentenceTwo: "first text" },
+      { id: 2, sentenceTwo: "second text" },
+    ]);
+    provider.calls.length = 0;
+
+    const counts = await index.upsert([
+      { id: 1, sentenceTwo: "first text", metadata: { tag: "kept" } },
+      { id: 2, sentenceTwo: "second text, edited" },
+      { id: 3, sentenceTwo: "third text" },
+    ]);
+    assert.deepEqual(counts, { added: 1, updated: 1, unchanged: 1 });
+    assert.deepEqual(texts(provider).sort(), [
+      "second text, edited",
+      "third text",
+    ]);
+    assert.deepEqual(index.get(1).metadata, { tag: "kept" });
+    assert.equal(index.get(2).sentenceTwo, "second text, edited");
+    assert.equal(index.size, 3);
+  });
+
+  it("embeds duplicate texts once", async () => {
+    const { finder, provider } = await createTestFinder();
+    const index = finder.createIndex();
+    await index.add([
+      { id: 1, sentenceTwo: "same text" },
+      { id: 2, sentenceTwo: "same text" },
+    ]);
+    await index.upsert([{ id: 3, sentenceTwo: "same text" }]);
+    assert.deepEqual(texts(provider), ["same text"]);
+    const { array } = await index.search("same text", 3);
+    assert.deepEqual(array.map((item) => item.id).sort(), [1, 2, 3]);
+  });
+
+  it("removes entries and keeps searching the others", async () => {
+    const { finder } = await createTestFinder();
+    const index = finder.createIndex();
+    await index.add(
+      Array.from({ length: 5 }, (_, i) => ({
+        id: i,
+        sentenceTwo: `document number ${i}`,
+      })),
+    );
+    assert.equal(index.remove([1, 3, 42]), 2);
+    assert.equal(index.size, 3);
+    assert.ok(!index.has(1));
+
+    const { array } = await index.search("document number 4", 10);
+    assert.deepEqual(array.map((item) => item.id).sort(), [0, 2, 4]);
+    assert.equal(array[0].id, 4);
+    assert.deepEqual(
+      index
+        .toCachedArray()
+        .map((item) => item.id)
+        .sort(),
+      [0, 2, 4],
+    );
+  });
+
+  it("filters results by metadata", async () => {
+    const { finder } = await createTestFinder();
+    const index = finder.createIndex();
+    await index.add([
+      { id: 1, sentenceTwo: "red shoes", metadata: { price: 80 } },
+      { id: 2, sentenceTwo: "red shoes on sale", metadata: { price: 30 } },
+    ]);
+    const { array } = await index.search("red shoes", 5, {
+      filter: { price: { lt: 50 } },
+    });
+    assert.deepEqual(
+      array.map((item) => item.id),
+      [2],
+    );
+  });
+});
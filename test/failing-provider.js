@@ -0,0 +1,27 @@
+import { appendFileSync, existsSync, readFileSync } from "node:fs";
+import { createTestProvider } from "./provider.js";
+
+const parameters = new URL(import.meta.url).searchParams;
+
+/**
+ * Creates the provider of the load tests, which fails the first `failures` times (every time without `failures`)
+ * and records every attempt as a line of the `log` file, so attempts made in different workers can be counted.
+ * Both are search parameters of the URL the module is imported from.
+ *
+ * @function
+ * @throws {Error} While the number of earlier attempts is below `failures`.
+ * @returns {Object} A {@link createTestProvider} provider.
+ */
+
+export default function createFailingProvider() {
+  const log = parameters.get("log");
+  const attempts = existsSync(log)
+    ? readFileSync(log, "utf8").split("\n").length - 1
+    : 0;
+  appendFileSync(log, "attempt\n");
+  const failures = Number(parameters.get("failures") ?? Infinity);
+  if (attempts < failures) {
+    throw new Error(`provider unavailable (attempt ${attempts + 1})`);
+  }
+  return createTestProvider({ id: "test/eventually" });
+}
@@ -0,0 +1,146 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+const products = [
+  {
+    sentenceTwo: "red running shoes",
+    metadata: {
+      category: "shoes",
+      price: 45,
+      tags: ["sport", "red"],
+      brand: { name: "Acme" },
+      added: new Date("2024-03-01"),
+    },
+  },
+  {
+    sentenceTwo: "leather boots",
+    metadata: {
+      category: "shoes",
+      price: 120,
+      tags: ["winter"],
+      archived: true,
+      added: new Date("2023-10-01"),
+    },
+  },
+  {
+    sentenceTwo: "wool scarf",
+    metadata: { category: "accessories", price: 20, tags: [] },
+  },
+  "a plain sentence without metadata",
+];
+
+describe("metadata filters", () => {
+  let finder;
+  let provider;
+  let cached;
+  before(async () => {
+    ({ finder, provider } = await createTestFinder());
+    cached = await finder.getCached(products);
+  });
+
+  const matching = async (filter) =>
+    (
+      await finder.cachedCompareSentenceToArray("shoes", cached, { filter })
+    ).array.map((item) => item.sentenceTwo);
+
+  it("keeps the metadata of cached items in the results", async () => {
+    assert.deepEqual(cached[0].metadata, products[0].metadata);
+    const { array } = await finder.cachedArrayInOrder("running shoes", cached);
+    assert.equal(array[0].sentenceTwo, "red running shoes");
+    assert.equal(array[0].metadata, products[0].metadata);
+    assert.ok(array.some((item) => !("metadata" in item)));
+  });
+
+  it("matches plain values and comparison operators", async () => {
+    assert.deepEqual(await matching({ category: "shoes" }), [
+      "red running shoes",
+      "leather boots",
+    ]);
+    assert.deepEqual(await matching({ price: { gte: 20, lt: 100 } }), [
+      "red running shoes",
+      "wool scarf",
+    ]);
+    assert.deepEqual(
+      await matching({ category: { in: ["accessories", "hats"] } }),
+      ["wool scarf"],
+    );
+    assert.deepEqual(await matching({ "brand.name": "Acme" }), [
+      "red running shoes",
+    ]);
+    assert.deepEqual(
+      await matching({ added: { gt: new Date("2024-01-01") } }),
+      ["red running shoes"],
+    );
+  });
+
+  it("matches array fields by any element, and ne/nin by none", async () => {
+    assert.deepEqual(await matching({ tags: "sport" }), ["red running shoes"]);
+    assert.deepEqual(await matching({ tags: { nin: ["sport", "winter"] } }), [
+      "wool scarf",
+      "a plain sentence without metadata",
+    ]);
+  });
+
+  it("only matches items without metadata with ne and nin", async () => {
+    assert.deepEqual(await matching({ archived: { ne: true } }), [
+      "red running shoes",
+      "wool scarf",
+      "a plain sentence without metadata",
+    ]);
+    assert.deepEqual(await matching({ price: { lt: 1000 } }), [
+      "red running shoes",
+      "leather boots",
+      "wool scarf",
+    ]);
+  });
+
+  it("accepts a predicate function", async () => {
+    const seen = [];
+    const result = await matching((metadata, item) => {
+      seen.push(item.sentenceTwo);
+      return Boolean(metadata && metadata.price > 100);
+    });
+    assert.deepEqual(result, ["leather boots"]);
+    assert.equal(seen.length, products.length);
+  });
+
+  it("filters plain searches before embedding", async () => {
+    provider.calls.length = 0;
+    const { array } = await finder.arrayInOrder("shoes", products, {
+      filter: { category: "shoes", archived: { ne: true } },
+    });
+    assert.deepEqual(
+      array.map((item) => item.sentenceTwo),
+      ["red running shoes"],
+    );
+    assert.deepEqual(provider.calls, [["shoes"], ["red running shoes"]]);
+  });
+
+  it("applies the filter to the objects of a keys search", async () => {
+    const { array } = await finder.arrayInOrder(
+      "shoes",
+      products.slice(0, 3).map(({ sentenceTwo, metadata }) => ({
+        name: sentenceTwo,
+        ...metadata,
+      })),
+      { keys: ["name"], filter: { price: { gt: 30 } } },
+    );
+    assert.deepEqual(array.map((result) => result.item.name).sort(), [
+      "leather boots",
+      "red running shoes",
+    ]);
+  });
+
+  it("rejects invalid filters", async () => {
+    await assert.rejects(
+      matching({ price: { below: 3 } }),
+      /Unknown filter operator "below" for "price"/,
+    );
+    await assert.rejects(
+      matching({ tags: { in: "sport" } }),
+      /The "in" filter of "tags" must be an array/,
+    );
+    await assert.rejects(matching("shoes"), /filter must be a function/);
+  });
+});
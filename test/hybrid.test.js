@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+const products = [
+  "Order SKU-4411 blue widget",
+  "Order SKU-4412 blue widget",
+  "running shoes for the trail",
+  "a warm winter coat",
+];
+
+describe("hybrid search", () => {
+  it("matches identifiers across punctuation, but not other digits", async () => {
+    const { finder } = await createTestFinder();
+    const { array } = await finder.arrayInOrder("sku4411", products, {
+      hybrid: true,
+    });
+    assert.equal(array[0].sentenceTwo, "Order SKU-4411 blue widget");
+    assert.equal(array[0].lexical, 1);
+    const other = array.find(
+      (item) => item.sentenceTwo === "Order SKU-4412 blue widget",
+    );
+    assert.equal(other.lexical, 0);
+  });
+
+  it("blends the semantic and lexical scores by weight", async () => {
+    const { finder } = await createTestFinder();
+    const { array } = await finder.compareSentenceToArray(
+      "blue widget",
+      products,
+      false,
+      { hybrid: { weight: 0.3 } },
+    );
+    const semantic = await finder.compareSentenceToArray(
+      "blue widget",
+      products,
+    );
+    for (let i = 0; i < array.length; i++) {
+      assert.ok(Math.abs(array[i].semantic - semantic.array[i].alike) < 1e-6);
+      assert.ok(array[i].lexical >= 0 && array[i].lexical <= 1);
+      assert.ok(
+        Math.abs(
+          array[i].alike - (0.3 * array[i].semantic + 0.7 * array[i].lexical),
+        ) < 1e-6,
+      );
+    }
+  });
+
+  it("tolerates typos unless fuzzy is off", async () => {
+    const { finder } = await createTestFinder();
+    const fuzzy = await finder.arrayInOrder("runing shoes", products, {
+      hybrid: true,
+    });
+    assert.equal(fuzzy.array[0].sentenceTwo, "running shoes for the trail");
+
+    const exact = await finder.compareSentenceToArray(
+      "runing",
+      products,
+      false,
+      { hybrid: { fuzzy: false } },
+    );
+    assert.ok(exact.array.every((item) => item.lexical === 0));
+  });
+
+  it("fuses rankings with reciprocal rank fusion", async () => {
+    const { finder } = await createTestFinder();
+    const { array } = await finder.arrayInOrder("SKU-4411", products, {
+      hybrid: { method: "rrf" },
+    });
+    assert.equal(array[0].sentenceTwo, "Order SKU-4411 blue widget");
+    for (let i = 1; i < array.length; i++) {
+      assert.ok(array[i - 1].alike >= array[i].alike);
+    }
+  });
+
+  it("rejects unknown methods", async () => {
+    const { finder } = await createTestFinder();
+    await assert.rejects(
+      finder.arrayInOrder("a", products, { hybrid: { method: "sum" } }),
+    );
+  });
+});
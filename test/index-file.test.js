@@ -0,0 +1,115 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+describe("saveIndex and loadIndex", () => {
+  let directory;
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "vague-finder-"));
+  });
+  after(() => rm(directory, { recursive: true, force: true }));
+
+  it("round-trips sentences, embeddings, ids and metadata", async () => {
+    const { finder } = await createTestFinder();
+    const cached = await finder.getCached([
+      { sentenceTwo: "héllo wörld 🎉", metadata: { tags: ["a"], price: 3 } },
+      "plain sentence",
+      "a third one",
+    ]);
+    cached[1].id = "second";
+    const path = join(directory, "round-trip.vfi");
+    await finder.saveIndex(path, cached);
+
+    const loaded = await finder.loadIndex(path);
+    assert.equal(loaded.length, 3);
+    assert.deepEqual(
+      loaded.map((item) => item.sentenceTwo),
+      cached.map((item) => item.sentenceTwo),
+    );
+    assert.deepEqual(loaded[0].metadata, { tags: ["a"], price: 3 });
+    assert.equal(loaded[1].id, "second");
+    for (let i = 0; i < cached.length; i++) {
+      assert.deepEqual(
+        Array.from(loaded[i].embedding),
+        Array.from(cached[i].embedding),
+      );
+    }
+    // The embeddings are rows of one matrix
+    assert.equal(loaded[0].embedding.buffer, loaded[2].embedding.buffer);
+  });
+
+  it("searches a loaded index like the cached array it was saved from", async () => {
+    const { finder } = await createTestFinder();
+    const cached = await finder.getCached([
+      "red shoes",
+      "blue coat",
+      "red hat",
+    ]);
+    const path = join(directory, "search.vfi");
+    await finder.saveIndex(path, cached);
+
+    const original = await finder.cachedArrayInOrder("red shoes", cached);
+    const reloaded = await finder.cachedArrayInOrder(
+      "red shoes",
+      await finder.loadIndex(path),
+    );
+    assert.deepEqual(reloaded, original);
+  });
+
+  it("rejects indexes built with another model", async () => {
+    const { finder } = await createTestFinder();
+    const path = join(directory, "mismatch.vfi");
+    await finder.saveIndex(path, await finder.getCached(["a", "b"]));
+
+    const { finder: other } = await createTestFinder({ id: "test/other" });
+    await assert.rejects(other.loadIndex(path), /model "test\/bag-of-words"/);
+
+    const { finder: prefixed } = await createTestFinder({
+      profile: { documentPrefix: "passage: " },
+    });
+    await assert.rejects(prefixed.loadIndex(path), /documentPrefix ""/);
+  });
+
+  it("reports a mismatch to warning listeners in warn mode", async (t) => {
+    const emitWarning = t.mock.method(process, "emitWarning", () => {});
+    const { finder } = await createTestFinder();
+    const path = join(directory, "warn.vfi");
+    await finder.saveIndex(path, await finder.getCached(["a"]));
+
+    const { finder: other } = await createTestFinder({ dimension: 32 });
+    const warnings = [];
+    other.on("warning", (warning) => warnings.push(warning));
+    const loaded = await other.loadIndex(path, { onModelMismatch: "warn" });
+    assert.equal(loaded.length, 1);
+    assert.equal(warnings.length, 1);
+    assert.equal(warnings[0].path, path);
+    assert.match(warnings[0].message, /dimension 64 instead of 32/);
+    assert.equal(emitWarning.mock.callCount(), 0);
+  });
+
+  it("emits a process warning in warn mode without listeners", async (t) => {
+    const emitWarning = t.mock.method(process, "emitWarning", () => {});
+    const { finder } = await createTestFinder();
+    const path = join(directory, "unheard.vfi");
+    await finder.saveIndex(path, await finder.getCached(["a"]));
+
+    const { finder: other } = await createTestFinder({ id: "test/other" });
+    const loaded = await other.loadIndex(path, { onModelMismatch: "warn" });
+    assert.equal(loaded.length, 1);
+    assert.equal(emitWarning.mock.callCount(), 1);
+    assert.match(
+      emitWarning.mock.calls[0].arguments[0],
+      /model "test\/bag-of-words" instead of "test\/other"/,
+    );
+  });
+
+  it("rejects files that are not an index", async () => {
+    const { finder } = await createTestFinder();
+    const path = join(directory, "not-an-index.vfi");
+    await writeFile(path, "just some text");
+    await assert.rejects(finder.loadIndex(path), /not a vague-finder index/);
+  });
+});
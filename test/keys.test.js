@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+const products = [
+  {
+    title: "red running shoes",
+    description: "light trainers",
+    tags: ["sport", "running"],
+    brand: { name: "Acme" },
+  },
+  { title: "blue denim jacket", description: "slim fit", tags: ["casual"] },
+  { sku: 42 },
+];
+const keys = [
+  { name: "title", weight: 2 },
+  "description",
+  "tags",
+  "brand.name",
+];
+
+describe("searching objects by keys", () => {
+  it("scores an object as the weighted mean of its fields", async () => {
+    const { finder } = await createTestFinder();
+    const { array } = await finder.compareSentenceToArray(
+      "running shoes",
+      products,
+      false,
+      { keys },
+    );
+    assert.equal(array.length, 3);
+    const [{ item, alike, fieldScores }] = array;
+    assert.equal(item, products[0]);
+    assert.deepEqual(Object.keys(fieldScores), [
+      "title",
+      "description",
+      "tags",
+      "brand.name",
+    ]);
+    const expected =
+      (2 * fieldScores.title +
+        fieldScores.description +
+        fieldScores.tags +
+        fieldScores["brand.name"]) /
+      5;
+    assert.ok(Math.abs(alike - expected) < 1e-6);
+  });
+
+  it("leaves missing fields out of the mean", async () => {
+    const { finder } = await createTestFinder();
+    const { array } = await finder.compareSentenceToArray(
+      "denim",
+      products,
+      false,
+      { keys },
+    );
+    const { alike, fieldScores } = array[1];
+    assert.equal(fieldScores["brand.name"], null);
+    const expected =
+      (2 * fieldScores.title + fieldScores.description + fieldScores.tags) / 4;
+    assert.ok(Math.abs(alike - expected) < 1e-6);
+    // An object without any of the fields scores 0
+    assert.equal(array[2].alike, 0);
+    assert.ok(Object.values(array[2].fieldScores).every((s) => s === null));
+  });
+
+  it("reads dot paths and joins arrays", async () => {
+    const { finder, provider } = await createTestFinder();
+    const { array } = await finder.compareSentenceToArray(
+      "acme",
+      products,
+      false,
+      { keys },
+    );
+    assert.ok(Math.abs(array[0].fieldScores["brand.name"] - 1) < 1e-5);
+    assert.ok(provider.calls.flat().includes("sport, running"));
+  });
+
+  it("embeds every distinct field text once", async () => {
+    const { finder, provider } = await createTestFinder();
+    await finder.getCached(
+      [
+        { title: "same", description: "same" },
+        { title: "same", description: "other" },
+      ],
+      { keys: ["title", "description"] },
+    );
+    assert.deepEqual(provider.calls.flat(), ["same", "other"]);
+  });
+
+  it("orders cached objects like uncached ones", async () => {
+    const { finder } = await createTestFinder();
+    const cached = await finder.getCached(products, { keys });
+    const fromCache = await finder.cachedArrayInOrder("slim jacket", cached, {
+      keys,
+    });
+    const direct = await finder.arrayInOrder("slim jacket", products, { keys });
+    assert.deepEqual(fromCache, direct);
+    assert.equal(direct.array[0].item, products[1]);
+    const top = await finder.getTop("slim jacket", products, 1, { keys });
+    assert.deepEqual(top.array, direct.array.slice(0, 1));
+  });
+
+  it("rejects invalid keys and uncached objects", async () => {
+    const { finder } = await createTestFinder();
+    await assert.rejects(
+      finder.arrayInOrder("a", products, { keys: [] }),
+      /keys must be a non-empty array/,
+    );
+    await assert.rejects(
+      finder.arrayInOrder("a", products, {
+        keys: [{ name: "title", weight: 0 }],
+      }),
+      /The weight of the key "title" must be positive/,
+    );
+    await assert.rejects(
+      finder.cachedArrayInOrder("a", products, { keys }),
+      /use getCached\(array, \{ keys \}\)/,
+    );
+  });
+});
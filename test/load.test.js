@@ -0,0 +1,194 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { createFinder } from "../index.js";
+import { writeModelWithoutWeights } from "./local-model.js";
+import { createTestProvider } from "./provider.js";
+
+describe("model loading", () => {
+  let directory;
+  let logs = 0;
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "vague-finder-"));
+  });
+  after(() => rm(directory, { recursive: true, force: true }));
+
+  // The URL of failing-provider.js with a new attempt log
+  const failingModule = (failures) => {
+    const log = join(directory, `attempts-${logs++}.log`);
+    const providerModule = new URL("./failing-provider.js", import.meta.url);
+    providerModule.searchParams.set("log", log);
+    if (failures !== undefined) {
+      providerModule.searchParams.set("failures", failures);
+    }
+    return { providerModule, log };
+  };
+  const countAttempts = async (log) =>
+    (await readFile(log, "utf8")).split("\n").length - 1;
+
+  it("starts idle and notifies state listeners", async () => {
+    const finder = createFinder();
+    assert.equal(finder.getProgress().state, "idle");
+    const states = [];
+    finder.on("state", ({ state, previous }) => states.push([previous, state]));
+    await finder.loadModel({
+      worker: true,
+      providerModule: new URL("./worker-provider.js", import.meta.url),
+    });
+    assert.deepEqual(states, [
+      ["idle", "loading"],
+      ["loading", "ready"],
+    ]);
+    assert.equal(finder.getProgress().state, "ready");
+    assert.equal(finder.getProgress().progress, 100);
+  });
+
+  it("stops notifying unsubscribed listeners", async () => {
+    const finder = createFinder();
+    const states = [];
+    const unsubscribe = finder.on("state", ({ state }) => states.push(state));
+    await finder.loadModel({ provider: createTestProvider() });
+    unsubscribe();
+    await finder.loadModel({ provider: createTestProvider() });
+    assert.deepEqual(states, ["ready"]);
+    assert.throws(
+      () => finder.on("loaded", () => {}),
+      /Unknown event "loaded"/,
+    );
+  });
+
+  it("retries a failed load", async () => {
+    const finder = createFinder();
+    const { providerModule, log } = failingModule(2);
+    await finder.loadModel({
+      worker: true,
+      providerModule,
+      retries: 2,
+      retryDelay: 10,
+    });
+    assert.equal(await countAttempts(log), 3);
+    assert.equal(finder.getModelInfo().id, "test/eventually");
+  });
+
+  it("fails after the last retry and keeps the model loaded before", async () => {
+    const finder = createFinder();
+    await finder.loadModel({ provider: createTestProvider() });
+    const states = [];
+    finder.on("state", ({ state, error }) => states.push([state, error]));
+    const { providerModule, log } = failingModule();
+    await assert.rejects(
+      finder.loadModel({
+        worker: true,
+        providerModule,
+        retries: 1,
+        retryDelay: 10,
+      }),
+      /provider unavailable \(attempt 2\)/,
+    );
+    assert.equal(await countAttempts(log), 2);
+    assert.equal(states.length, 2);
+    assert.equal(states[1][0], "failed");
+    assert.match(states[1][1].message, /provider unavailable/);
+    assert.match(finder.getProgress().error, /provider unavailable/);
+    assert.equal(finder.getModelInfo().id, "test/bag-of-words");
+    const [{ embedding }] = await finder.getCached(["still works"]);
+    assert.equal(embedding.length, 64);
+  });
+
+  it("aborts a load while it waits for a retry", async () => {
+    const finder = createFinder();
+    const controller = new AbortController();
+    const { providerModule, log } = failingModule();
+    const loading = finder.loadModel({
+      worker: true,
+      providerModule,
+      retries: 3,
+      retryDelay: 60000,
+      signal: controller.signal,
+    });
+    // Abort once the first attempt has failed and its worker has stopped
+    while ((await countAttempts(log).catch(() => 0)) === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    controller.abort(new Error("user left"));
+    await assert.rejects(loading, /user left/);
+    assert.equal(finder.getProgress().state, "idle");
+    assert.equal(await countAttempts(log), 1);
+  });
+
+  it("rejects right away with an aborted signal", async () => {
+    const finder = createFinder();
+    const { providerModule, log } = failingModule();
+    await assert.rejects(
+      finder.loadModel({
+        worker: true,
+        providerModule,
+        signal: AbortSignal.abort(new Error("too late")),
+      }),
+      /too late/,
+    );
+    assert.equal(finder.getProgress().state, "idle");
+    await assert.rejects(readFile(log), { code: "ENOENT" });
+  });
+
+  it("reports the progress of every file", async () => {
+    const finder = createFinder();
+    const snapshots = [];
+    const states = [];
+    finder.on("progress", (snapshot) => snapshots.push(snapshot));
+    finder.on("state", ({ state }) => states.push(state));
+    await assert.rejects(
+      finder.loadModel({
+        model: "test/model",
+        offline: true,
+        localModelPath: await writeModelWithoutWeights(directory),
+      }),
+      /model_quantized\.onnx/,
+    );
+    // Local models are not retried
+    assert.deepEqual(states, ["loading", "failed"]);
+
+    const last = snapshots.at(-1).files;
+    for (const name of ["tokenizer.json", "config.json"]) {
+      const file = last.find((item) => item.file === name);
+      assert.equal(file.status, "done");
+      assert.equal(file.progress, 100);
+      assert.ok(file.total > 0);
+    }
+    // The progress of a file never goes back
+    const seen = new Map();
+    for (const { files } of snapshots) {
+      for (const { file, progress } of files) {
+        assert.ok(progress >= (seen.get(file) ?? 0), `${file} went back`);
+        seen.set(file, progress);
+      }
+    }
+  });
+
+  it("rejects another load while one is in progress", async () => {
+    const finder = createFinder();
+    const loading = finder.loadModel({
+      worker: true,
+      providerModule: new URL("./worker-provider.js", import.meta.url),
+    });
+    await assert.rejects(
+      finder.loadModel({ provider: createTestProvider() }),
+      /A model is already loading/,
+    );
+    await loading;
+    assert.equal(finder.getModelInfo().id, "test/worker");
+    await finder.loadModel({ provider: createTestProvider() });
+    assert.equal(finder.getModelInfo().id, "test/bag-of-words");
+  });
+
+  it("rejects invalid retry options", async () => {
+    const finder = createFinder();
+    await assert.rejects(
+      finder.loadModel({ provider: createTestProvider(), retries: -1 }),
+      /retries must be a non-negative integer/,
+    );
+  });
+});
@@ -0,0 +1,32 @@
+import { mkdir, mkdtemp, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+/**
+ * Asynchronously writes a local model "test/model" whose tokenizer and config load, but whose weights are missing.
+ * Loading it offline fails only when the weights are looked up, after the other files were read.
+ *
+ * @async
+ * @function
+ * @param {string} parent - The directory to write it in, removed by the test.
+ * @returns {Promise<string>} A new directory in `parent` to pass as `localModelPath`.
+ */
+
+export async function writeModelWithoutWeights(parent) {
+  const directory = await mkdtemp(join(parent, "model-"));
+  const model = join(directory, "test", "model");
+  await mkdir(model, { recursive: true });
+  await writeFile(join(model, "config.json"), '{"model_type":"bert"}');
+  await writeFile(join(model, "tokenizer_config.json"), "{}");
+  await writeFile(
+    join(model, "tokenizer.json"),
+    JSON.stringify({
+      normalizer: null,
+      pre_tokenizer: { type: "Whitespace" },
+      model: { type: "WordLevel", vocab: { "[UNK]": 0 }, unk_token: "[UNK]" },
+      post_processor: null,
+      decoder: null,
+      added_tokens: [],
+    }),
+  );
+  return directory;
+}
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+const queries = ["red shoes", "garden tools", "winter coat"];
+const corpus = [
+  "red running shoes",
+  "a rake and other garden tools",
+  "a warm winter coat",
+  "blue jeans",
+];
+
+describe("compareMany and searchMany", () => {
+  let finder;
+  let provider;
+  before(async () => {
+    ({ finder, provider } = await createTestFinder());
+  });
+
+  it("fills the similarity matrix of every query and item", async () => {
+    const { rows, columns, matrix } = await finder.compareMany(queries, corpus);
+    assert.deepEqual(rows, queries);
+    assert.deepEqual(columns, corpus);
+    assert.equal(matrix.length, queries.length * corpus.length);
+    for (let i = 0; i < queries.length; i++) {
+      const { array } = await finder.compareSentenceToArray(queries[i], corpus);
+      for (let j = 0; j < corpus.length; j++) {
+        assert.ok(
+          Math.abs(matrix[i * columns.length + j] - array[j].alike) < 1e-6,
+        );
+      }
+    }
+  });
+
+  it("embeds the queries and the uncached items once", async () => {
+    const cached = await finder.getCached(corpus.slice(0, 2));
+    provider.calls.length = 0;
+    const batches = [];
+    await finder.compareMany(queries, [...cached, ...corpus.slice(2)], {
+      onBatch: ({ done, total }) => batches.push([done, total]),
+    });
+    assert.deepEqual(provider.calls, [queries, corpus.slice(2)]);
+    assert.deepEqual(batches, [
+      [3, 3],
+      [2, 2],
+    ]);
+  });
+
+  it("runs one search per query with shared options", async () => {
+    provider.calls.length = 0;
+    const results = await finder.searchMany(queries, corpus, { topK: 1 });
+    assert.equal(provider.calls.length, 2);
+    assert.deepEqual(
+      results.map(({ sentenceOne, array }) => [
+        sentenceOne,
+        array.map((item) => item.sentenceTwo),
+      ]),
+      [
+        ["red shoes", ["red running shoes"]],
+        ["garden tools", ["a rake and other garden tools"]],
+        ["winter coat", ["a warm winter coat"]],
+      ],
+    );
+    for (const result of results) {
+      const single = await finder.search(result.sentenceOne, corpus, {
+        topK: 1,
+      });
+      assert.deepEqual(result, single);
+    }
+  });
+
+  it("caches objects once for keys searches", async () => {
+    provider.calls.length = 0;
+    const results = await finder.searchMany(
+      ["red shoes", "blue jeans"],
+      corpus.map((title) => ({ title })),
+      { keys: ["title"], topK: 1 },
+    );
+    assert.equal(provider.calls.length, 2);
+    assert.deepEqual(
+      results.map((result) => result.array[0].item.title),
+      ["red running shoes", "blue jeans"],
+    );
+  });
+
+  it("validates the options before embedding", async () => {
+    provider.calls.length = 0;
+    await assert.rejects(
+      finder.searchMany(queries, corpus, { topK: -1 }),
+      /topK must be a positive integer/,
+    );
+    assert.equal(provider.calls.length, 0);
+  });
+});
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+const corpus = [
+  "cheap flights to paris in spring",
+  "cheap flights to paris in spring!",
+  "cheap flights to paris in the spring",
+  "cheap hotels near the louvre in paris",
+  "how to bake bread",
+];
+
+describe("maximal marginal relevance", () => {
+  it("picks a different result over a near duplicate", async () => {
+    const { finder } = await createTestFinder();
+    const query = "cheap paris flights";
+    const plain = await finder.arrayInOrder(query, corpus, { topK: 2 });
+    assert.match(plain.array[1].sentenceTwo, /flights/);
+
+    const diverse = await finder.arrayInOrder(query, corpus, {
+      topK: 2,
+      mmr: { lambda: 0.5 },
+    });
+    assert.equal(diverse.array[0].sentenceTwo, plain.array[0].sentenceTwo);
+    assert.equal(
+      diverse.array[1].sentenceTwo,
+      "cheap hotels near the louvre in paris",
+    );
+    assert.ok(diverse.array.every((item) => typeof item.mmr === "number"));
+    assert.ok(diverse.array.every((item) => item.embedding === undefined));
+  });
+
+  it("ranks by relevance alone with lambda 1", async () => {
+    const { finder } = await createTestFinder();
+    const plain = await finder.arrayInOrder("paris", corpus, { topK: 3 });
+    const relevance = await finder.arrayInOrder("paris", corpus, {
+      topK: 3,
+      mmr: { lambda: 1 },
+    });
+    assert.deepEqual(
+      relevance.array.map((item) => item.sentenceTwo),
+      plain.array.map((item) => item.sentenceTwo),
+    );
+  });
+
+  it("rejects invalid options", async () => {
+    const { finder } = await createTestFinder();
+    await assert.rejects(
+      finder.search("paris", corpus, { mmr: { lambda: 2 } }),
+    );
+    await assert.rejects(
+      finder.search("paris", corpus, { mmr: true, order: "asc" }),
+      /cannot be combined with order "asc"/,
+    );
+  });
+});
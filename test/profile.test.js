@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+describe("encoding profiles", () => {
+  it("picks the profile by model id and prefixes queries and documents", async () => {
+    const { finder, provider } = await createTestFinder({
+      id: "intfloat/e5-small-v2",
+    });
+    const { profile } = finder.getModelInfo();
+    assert.equal(profile.queryPrefix, "query: ");
+    assert.equal(profile.documentPrefix, "passage: ");
+
+    await finder.search("red shoes", ["red running shoes", "a blue coat"]);
+    assert.deepEqual(provider.calls, [
+      ["query: red shoes"],
+      ["passage: red running shoes", "passage: a blue coat"],
+    ]);
+  });
+
+  it("uses the query prefix for every query", async () => {
+    const { finder, provider } = await createTestFinder({
+      profile: { queryPrefix: "q: ", documentPrefix: "d: " },
+    });
+    await finder.compareTwoSentences("one", "two");
+    await finder.compareMany(["three"], ["four"]);
+    await finder.getCached(["five"], { role: "query" });
+    const index = finder.createIndex();
+    await index.add([{ id: 1, sentenceTwo: "six" }]);
+    await index.search("seven");
+    assert.deepEqual(provider.calls.flat().sort(), [
+      "d: four",
+      "d: six",
+      "d: two",
+      "q: five",
+      "q: one",
+      "q: seven",
+      "q: three",
+    ]);
+  });
+
+  it("scores prefixed queries like the embeddings of the prefixed texts", async () => {
+    const { finder } = await createTestFinder({ profile: "e5" });
+    const [query] = await finder.getCached(["red shoes"], { role: "query" });
+    const [document] = await finder.getCached(["red shoes"]);
+    const { array } = await finder.cachedArrayInOrder("red shoes", [document]);
+    const expected = query.embedding.reduce(
+      (sum, value, i) => sum + value * document.embedding[i],
+      0,
+    );
+    assert.ok(Math.abs(array[0].alike - expected) < 1e-6);
+    assert.ok(array[0].alike < 0.999);
+  });
+
+  it("applies no prefixes to models without a profile", async () => {
+    const { finder, provider } = await createTestFinder();
+    assert.deepEqual(finder.getModelInfo().profile, {
+      queryPrefix: "",
+      documentPrefix: "",
+      pooling: "mean",
+      maxLength: null,
+    });
+    await finder.search("a", ["b"]);
+    assert.deepEqual(provider.calls, [["a"], ["b"]]);
+  });
+
+  it("rejects unknown profiles and invalid fields", async () => {
+    await assert.rejects(
+      createTestFinder({ profile: "e6" }),
+      /Unknown encoding profile "e6"/,
+    );
+    await assert.rejects(
+      createTestFinder({ profile: { pooling: "max" } }),
+      /Unsupported pooling "max"/,
+    );
+    await assert.rejects(
+      createTestFinder({ profile: { queryPrefix: 1 } }),
+      /queryPrefix and documentPrefix must be strings/,
+    );
+    await assert.rejects(
+      createTestFinder({ profile: { maxLength: 0 } }),
+      /maxLength must be a positive integer or null/,
+    );
+    await assert.rejects(
+      createTestFinder({ profile: { normalize: false } }),
+      /Unknown encoding profile field "normalize"/,
+    );
+  });
+});
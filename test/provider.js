@@ -0,0 +1,82 @@
+import { createFinder } from "../index.js";
+
+/**
+ * Hashes a word into a 32-bit seed.
+ *
+ * @function
+ * @param {string} word - The word.
+ * @returns {number} The seed.
+ */
+
+function hashWord(word) {
+  let hash = 2166136261;
+  for (let i = 0; i < word.length; i++) {
+    hash = Math.imul(hash ^ word.charCodeAt(i), 16777619) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Embeds a text as the sum of a fixed pseudo-random direction per word, so texts sharing words are similar.
+ *
+ * @function
+ * @param {string} text - The text.
+ * @param {number} dimension - The length of the vector.
+ * @returns {Array<number>} The vector, not normalized.
+ */
+
+function embedText(text, dimension) {
+  const vector = new Array(dimension).fill(0);
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    let state = hashWord(word);
+    for (let i = 0; i < dimension; i++) {
+      state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+      vector[i] += (state >>> 8) / 0x800000 - 1;
+    }
+  }
+  // Texts without words still get a vector, which the finder normalizes
+  vector[0] += 1e-3;
+  return vector;
+}
+
+/**
+ * Creates a deterministic embedding provider for tests, which never downloads a model.
+ * Every batch it embeds is recorded in `calls`.
+ *
+ * @function
+ * @param {Object} [options] - The provider options.
+ * @param {string} [options.id="test/bag-of-words"] - The model id.
+ * @param {number} [options.dimension=64] - The length of the vectors.
+ * @returns {{id: string, dimension: number, embed: function(Array<string>): Promise<Array<Array<number>>>, calls: Array<Array<string>>}} The provider.
+ */
+
+function createTestProvider({ id = "test/bag-of-words", dimension = 64 } = {}) {
+  const calls = [];
+  return {
+    id,
+    dimension,
+    calls,
+    async embed(texts) {
+      calls.push(texts);
+      return texts.map((text) => embedText(text, dimension));
+    },
+  };
+}
+
+/**
+ * Asynchronously creates a finder whose model is a {@link createTestProvider} provider.
+ *
+ * @async
+ * @function
+ * @param {Object} [options] - The options of `loadModel()`, plus `id` and `dimension` for the provider.
+ * @returns {Promise<{finder: Object, provider: Object}>} The finder and its provider.
+ */
+
+async function createTestFinder({ id, dimension, ...options } = {}) {
+  const finder = createFinder();
+  const provider = createTestProvider({ id, dimension });
+  await finder.loadModel({ ...options, provider });
+  return { finder, provider };
+}
+
+export { createTestProvider, createTestFinder };
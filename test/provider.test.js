@@ -0,0 +1,162 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { describe, it } from "node:test";
+import { env } from "@xenova/transformers";
+import { createFinder } from "../index.js";
+import { writeModelWithoutWeights } from "./local-model.js";
+import { createTestFinder, createTestProvider } from "./provider.js";
+
+describe("embedding providers", () => {
+  it("ranks texts sharing words with the query first", async () => {
+    const { finder } = await createTestFinder();
+    const { array } = await finder.arrayInOrder("red running shoes", [
+      "a blue winter coat",
+      "red running shoes for trails",
+      "green garden hose",
+    ]);
+    assert.equal(array[0].sentenceTwo, "red running shoes for trails");
+    assert.ok(array[0].alike > array[1].alike);
+  });
+
+  it("normalizes the vectors of the provider", async () => {
+    const { finder } = await createTestFinder();
+    const [{ embedding }] = await finder.getCached(["some text"]);
+    assert.ok(embedding instanceof Float32Array);
+    assert.equal(embedding.length, 64);
+    const norm = Math.hypot(...embedding);
+    assert.ok(Math.abs(norm - 1) < 1e-5);
+  });
+
+  it("stores the embeddings of a cached array in one matrix", async () => {
+    const { finder } = await createTestFinder();
+    const cached = await finder.getCached(["one", "two", "three"]);
+    const { buffer } = cached[0].embedding;
+    assert.ok(cached.every((item) => item.embedding.buffer === buffer));
+    const { array } = await finder.cachedArrayInOrder("two", cached);
+    assert.equal(array[0].sentenceTwo, "two");
+    assert.ok(Math.abs(array[0].alike - 1) < 1e-5);
+  });
+
+  it("embeds cached arrays with the provider", async () => {
+    const { finder, provider } = await createTestFinder({ dimension: 16 });
+    const [{ sentenceTwo, embedding }] = await finder.getCached(["some text"]);
+    assert.equal(sentenceTwo, "some text");
+    assert.equal(embedding.length, 16);
+    assert.deepEqual(provider.calls.flat(), ["some text"]);
+  });
+
+  it("rejects providers that break the contract", async () => {
+    const finder = createFinder();
+    const provider = createTestProvider();
+    await assert.rejects(
+      finder.loadModel({ provider: { ...provider, embed: undefined } }),
+      /must have an embed\(texts\) function/,
+    );
+    await assert.rejects(
+      finder.loadModel({ provider: { ...provider, id: "" } }),
+      /non-empty string id/,
+    );
+    await assert.rejects(
+      finder.loadModel({ provider: { ...provider, dimension: 0 } }),
+      /positive integer dimension/,
+    );
+  });
+
+  it("rejects vectors of the wrong dimension", async () => {
+    const finder = createFinder();
+    await finder.loadModel({
+      provider: {
+        id: "short",
+        dimension: 4,
+        embed: async (texts) => texts.map(() => [1, 0]),
+      },
+    });
+    await assert.rejects(
+      finder.getCached(["a"]),
+      /returned a vector of dimension 2, expected 4/,
+    );
+  });
+
+  it("sends large arrays to the provider in batches", async () => {
+    const { finder, provider } = await createTestFinder();
+    const texts = Array.from({ length: 10 }, (_, i) => `text ${i}`);
+    const progress = [];
+    const cached = await finder.getCached(texts, {
+      batchSize: 4,
+      onBatch: ({ done }) => progress.push(done),
+    });
+    assert.deepEqual(
+      provider.calls.map((batch) => batch.length),
+      [4, 4, 2],
+    );
+    assert.deepEqual(progress, [4, 8, 10]);
+    assert.deepEqual(
+      cached.map((item) => item.sentenceTwo),
+      texts,
+    );
+    await assert.rejects(
+      finder.getCached(texts, { batchSize: 0 }),
+      /batchSize must be a positive integer/,
+    );
+  });
+});
+
+describe("createFinder", () => {
+  it("keeps the models of finders apart", async () => {
+    const first = await createTestFinder({ dimension: 8 });
+    const second = await createTestFinder({ dimension: 16 });
+    const [one] = await first.finder.getCached(["shared text"]);
+    const [two] = await second.finder.getCached(["shared text"]);
+    assert.equal(one.embedding.length, 8);
+    assert.equal(two.embedding.length, 16);
+    assert.equal(first.provider.calls.length, 1);
+    assert.equal(second.provider.calls.length, 1);
+  });
+
+  it("does not load a model for a new finder", async () => {
+    await createTestFinder();
+    const finder = createFinder();
+    await assert.rejects(finder.getCached(["a"]), /Model has not been loaded/);
+  });
+
+  it("loads models of concurrent finders with their own local settings", async (t) => {
+    const parent = await mkdtemp(join(tmpdir(), "vague-finder-"));
+    t.after(() => rm(parent, { recursive: true, force: true }));
+    const before = {
+      allowLocalModels: env.allowLocalModels,
+      allowRemoteModels: env.allowRemoteModels,
+      localModelPath: env.localModelPath,
+    };
+    const directories = [
+      await writeModelWithoutWeights(parent),
+      await writeModelWithoutWeights(parent),
+    ];
+    const results = await Promise.allSettled(
+      directories.map((localModelPath) =>
+        createFinder().loadModel({
+          model: "test/model",
+          offline: true,
+          localModelPath,
+        }),
+      ),
+    );
+    results.forEach(({ status, reason }, i) => {
+      assert.equal(status, "rejected");
+      // Each load looks for the weights in its own directory
+      assert.ok(
+        reason.message.includes(join(directories[i], "test", "model", "onnx")),
+        reason.message,
+      );
+    });
+    assert.deepEqual(
+      {
+        allowLocalModels: env.allowLocalModels,
+        allowRemoteModels: env.allowRemoteModels,
+        localModelPath: env.localModelPath,
+      },
+      before,
+    );
+  });
+});
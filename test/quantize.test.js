@@ -0,0 +1,183 @@
+import assert from "node:assert/strict";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { before, describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+const WORDS =
+  "red blue green shoe shirt cat dog fast slow big small soft hard city river".split(
+    " ",
+  );
+const corpus = Array.from({ length: 300 }, (_, i) => ({
+  sentenceTwo: `${WORDS[i % 15]} ${WORDS[(i * 7) % 15]} ${WORDS[(i * 11 + 3) % 15]} ${i}`,
+  metadata: { i },
+}));
+const query = "red shoe fast";
+
+/**
+ * Counts the results of a search that are among the expected ones.
+ *
+ * @function
+ * @param {{array: Array<{sentenceTwo: string}>}} result - The search result.
+ * @param {Array<string>} expected - The expected sentences.
+ * @returns {number} The number of expected sentences found.
+ */
+
+function overlap(result, expected) {
+  return result.array.filter((item) => expected.includes(item.sentenceTwo))
+    .length;
+}
+
+describe("quantized embeddings", () => {
+  let finder;
+  let provider;
+  let floats;
+  let exactTop;
+  before(async () => {
+    ({ finder, provider } = await createTestFinder());
+    floats = await finder.getCached(corpus);
+    exactTop = (
+      await finder.cachedArrayInOrder(query, floats, { topK: 10 })
+    ).array.map((item) => item.sentenceTwo);
+  });
+
+  it("compresses to int8 codes with a scale", async () => {
+    const cached = await finder.getCached(corpus, { quantize: "int8" });
+    const [item] = cached;
+    assert.ok(item.quantized instanceof Int8Array);
+    assert.equal(item.quantized.length, 64);
+    assert.equal(item.quantization, "int8");
+    assert.equal(typeof item.scale, "number");
+    assert.equal(item.embedding, undefined);
+    assert.deepEqual(item.metadata, { i: 0 });
+    assert.ok(item.quantized.every((value) => Math.abs(value) <= 127));
+  });
+
+  it("compresses to one bit per dimension in one shared buffer", async () => {
+    const cached = await finder.getCached(corpus, { quantize: "binary" });
+    assert.ok(cached[0].quantized instanceof Uint8Array);
+    assert.equal(cached[0].quantized.length, 8);
+    assert.equal(cached[0].quantized.buffer, cached[1].quantized.buffer);
+  });
+
+  it("keeps int8 scores close to the float ones", async () => {
+    const cached = await finder.getCached(corpus, { quantize: "int8" });
+    const exact = new Map(
+      (await finder.cachedArrayInOrder(query, floats)).array.map((item) => [
+        item.sentenceTwo,
+        item.alike,
+      ]),
+    );
+    const approximate = await finder.cachedArrayInOrder(query, cached);
+    for (const item of approximate.array) {
+      assert.ok(Math.abs(item.alike - exact.get(item.sentenceTwo)) < 0.01);
+    }
+    assert.ok(
+      overlap(
+        await finder.cachedArrayInOrder(query, cached, { topK: 10 }),
+        exactTop,
+      ) >= 9,
+    );
+  });
+
+  it("scores binary codes by Hamming distance", async () => {
+    const cached = await finder.getCached(corpus, { quantize: "binary" });
+    const { array } = await finder.cachedArrayInOrder(
+      corpus[5].sentenceTwo,
+      cached,
+      { topK: 1 },
+    );
+    // A text has no differing bits with itself
+    assert.equal(array[0].sentenceTwo, corpus[5].sentenceTwo);
+    assert.equal(array[0].alike, 1);
+  });
+
+  it("rescores the best candidates with the kept float embeddings", async () => {
+    const cached = await finder.getCached(corpus, {
+      quantize: "binary",
+      keepEmbeddings: true,
+    });
+    const exact = new Map(
+      (await finder.cachedArrayInOrder(query, floats)).array.map((item) => [
+        item.sentenceTwo,
+        item.alike,
+      ]),
+    );
+    provider.calls.length = 0;
+    const result = await finder.cachedArrayInOrder(query, cached, {
+      topK: 10,
+      rescore: { candidates: 60 },
+    });
+    // Only the query is embedded
+    assert.deepEqual(provider.calls, [[query]]);
+    assert.equal(result.array.length, 10);
+    assert.ok(overlap(result, exactTop) >= 9);
+    for (const item of result.array) {
+      assert.ok(Math.abs(item.alike - exact.get(item.sentenceTwo)) < 1e-6);
+      assert.equal(typeof item.approximate, "number");
+      assert.equal(item.embedding, undefined);
+    }
+  });
+
+  it("rescores the best candidates by embedding only them again", async () => {
+    const cached = await finder.getCached(corpus, { quantize: "binary" });
+    provider.calls.length = 0;
+    const result = await finder.cachedArrayInOrder(query, cached, {
+      topK: 10,
+      rescore: { candidates: 60 },
+      batchSize: 100,
+    });
+    assert.equal(provider.calls.length, 2);
+    assert.deepEqual(provider.calls[0], [query]);
+    assert.equal(provider.calls[1].length, 60);
+    assert.ok(overlap(result, exactTop) >= 9);
+    for (const item of result.array) {
+      assert.equal(typeof item.approximate, "number");
+      assert.equal(item.embedding, undefined);
+    }
+  });
+
+  it("ignores rescore without quantized items", async () => {
+    const result = await finder.cachedArrayInOrder(query, floats, {
+      rescore: true,
+    });
+    assert.equal(result.array.length, corpus.length);
+    assert.ok(result.array.every((item) => item.approximate === undefined));
+  });
+
+  it("combines with filters", async () => {
+    const cached = await finder.getCached(corpus, { quantize: "int8" });
+    const { array } = await finder.cachedArrayInOrder(query, cached, {
+      topK: 3,
+      filter: { i: { lt: 10 } },
+    });
+    assert.equal(array.length, 3);
+    assert.ok(array.every((item) => item.metadata.i < 10));
+  });
+
+  it("rejects what needs float embeddings it does not have", async () => {
+    const cached = await finder.getCached(corpus.slice(0, 5), {
+      quantize: "binary",
+    });
+    await assert.rejects(
+      finder.getCached(["a"], { quantize: "int4" }),
+      /Unsupported quantize "int4"/,
+    );
+    await assert.rejects(
+      finder.getCached(["a"], { quantize: "int8", chunking: true }),
+      /not supported together with keys or chunking/,
+    );
+    await assert.rejects(
+      finder.search(query, cached, { mmr: true }),
+      /keepEmbeddings/,
+    );
+    await assert.rejects(
+      finder.saveIndex(join(tmpdir(), "vague-finder-quantized.vfi"), cached),
+      /only supported by the search functions/,
+    );
+    await assert.rejects(
+      finder.cluster(cached, { k: 2 }),
+      /only supported by the search functions/,
+    );
+  });
+});
@@ -0,0 +1,144 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+const answers = [
+  "red shoes",
+  "red shoes for running",
+  "red shoes for running on muddy trails",
+  "blue shoes",
+  "a green hat",
+];
+
+/**
+ * Creates a reranker that prefers longer texts, the opposite of what the test embeddings prefer,
+ * and records the texts of every call.
+ *
+ * @function
+ * @returns {{id: string, score: function(string, Array<string>): Promise<Array<number>>, calls: Array<Array<string>>}} The reranker.
+ */
+
+function createLengthReranker() {
+  const calls = [];
+  return {
+    id: "test/length",
+    calls,
+    async score(query, texts) {
+      calls.push(texts);
+      return texts.map((text) => text.length / 100);
+    },
+  };
+}
+
+describe("rerank", () => {
+  it("reorders the best candidates by the reranker score", async () => {
+    const { finder } = await createTestFinder();
+    const reranker = createLengthReranker();
+    await finder.loadReranker({ provider: reranker });
+    const first = await finder.search("red shoes", answers, { topK: 3 });
+    const { array } = await finder.search("red shoes", answers, {
+      topK: 2,
+      rerank: { candidates: 3 },
+    });
+
+    // Only the three most similar answers are candidates
+    assert.deepEqual(
+      reranker.calls.flat().sort(),
+      first.array.map((item) => item.sentenceTwo).sort(),
+    );
+    const longest = [...first.array].sort(
+      (a, b) => b.sentenceTwo.length - a.sentenceTwo.length,
+    );
+    assert.deepEqual(
+      array.map(({ sentenceTwo, alike, rerank }) => ({
+        sentenceTwo,
+        alike,
+        rerank,
+      })),
+      longest.slice(0, 2).map(({ sentenceTwo, alike }) => ({
+        sentenceTwo,
+        alike,
+        rerank: sentenceTwo.length / 100,
+      })),
+    );
+  });
+
+  it("scores the candidates in batches", async () => {
+    const { finder } = await createTestFinder();
+    const reranker = createLengthReranker();
+    await finder.loadReranker({ provider: reranker });
+    const { array } = await finder.arrayInOrder("shoes", answers, {
+      rerank: { candidates: 5, batchSize: 2 },
+    });
+    assert.deepEqual(
+      reranker.calls.map((batch) => batch.length),
+      [2, 2, 1],
+    );
+    assert.equal(array.length, 5);
+  });
+
+  it("reranks chunked items by their best passage", async () => {
+    const { finder } = await createTestFinder();
+    const reranker = createLengthReranker();
+    await finder.loadReranker({ provider: reranker });
+    const article = "Nothing to see here. Red shoes are on sale.";
+    await finder.search("red shoes", [article], {
+      chunking: { maxTokens: 8, overlap: 0 },
+      rerank: true,
+    });
+    assert.deepEqual(reranker.calls, [["Red shoes are on sale."]]);
+  });
+
+  it("only reranks items matching the filter", async () => {
+    const { finder } = await createTestFinder();
+    const reranker = createLengthReranker();
+    await finder.loadReranker({ provider: reranker });
+    const cached = await finder.getCached(
+      answers.map((sentenceTwo, i) => ({ sentenceTwo, metadata: { i } })),
+    );
+    const { array } = await finder.cachedArrayInOrder("red shoes", cached, {
+      filter: { i: { in: [0, 3] } },
+      rerank: true,
+    });
+    assert.deepEqual(reranker.calls.flat().sort(), ["blue shoes", "red shoes"]);
+    assert.equal(array.length, 2);
+  });
+
+  it("rejects invalid rerankers and option combinations", async () => {
+    const { finder } = await createTestFinder();
+    await assert.rejects(
+      finder.search("red", answers, { rerank: true }),
+      /The reranker has not been loaded/,
+    );
+    await assert.rejects(
+      finder.loadReranker({ provider: { id: "broken" } }),
+      /must have a score\(query, texts\) function/,
+    );
+    await finder.loadReranker({
+      provider: { id: "short", score: async () => [1] },
+    });
+    await assert.rejects(
+      finder.search("red", answers, { rerank: true }),
+      /returned 1 scores for 5 texts/,
+    );
+    await assert.rejects(
+      finder.search("red", answers, { rerank: { candidates: 0 } }),
+      /candidates must be a positive integer/,
+    );
+    await assert.rejects(
+      finder.search("red", answers, { rerank: true, mmr: true }),
+      /cannot be combined with mmr/,
+    );
+    await assert.rejects(
+      finder.search("red", answers, { rerank: true, order: "asc" }),
+      /cannot be combined with order "asc"/,
+    );
+    await assert.rejects(
+      finder.search("red", [{ title: "red" }], {
+        rerank: true,
+        keys: ["title"],
+      }),
+      /not supported together with keys/,
+    );
+  });
+});
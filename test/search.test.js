@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+const sentences = [
+  "red running shoes",
+  "red winter coat",
+  "blue running shorts",
+  "green garden hose",
+  "red shoes for running on trails",
+];
+
+describe("search", () => {
+  let finder;
+  let provider;
+  let all;
+  before(async () => {
+    ({ finder, provider } = await createTestFinder());
+    all = (await finder.search("red running shoes", sentences)).array;
+  });
+
+  it("sorts every item by descending similarity by default", () => {
+    assert.equal(all.length, sentences.length);
+    assert.equal(all[0].sentenceTwo, "red running shoes");
+    for (let i = 1; i < all.length; i++) {
+      assert.ok(all[i - 1].alike >= all[i].alike);
+    }
+  });
+
+  it("keeps the topK best items", async () => {
+    const { sentenceOne, array } = await finder.search(
+      "red running shoes",
+      sentences,
+      { topK: 2 },
+    );
+    assert.equal(sentenceOne, "red running shoes");
+    assert.deepEqual(array, all.slice(0, 2));
+  });
+
+  it("drops items below minScore", async () => {
+    const minScore = all[2].alike;
+    const { array } = await finder.search("red running shoes", sentences, {
+      minScore,
+    });
+    assert.deepEqual(array, all.slice(0, 3));
+  });
+
+  it("sorts ascending or keeps the corpus order", async () => {
+    const ascending = await finder.search("red running shoes", sentences, {
+      order: "asc",
+    });
+    assert.deepEqual(ascending.array, [...all].reverse());
+    const unsorted = await finder.search("red running shoes", sentences, {
+      order: "none",
+      topK: 3,
+    });
+    assert.deepEqual(
+      unsorted.array.map((item) => item.sentenceTwo),
+      sentences.filter((sentence) =>
+        all.slice(0, 3).some((item) => item.sentenceTwo === sentence),
+      ),
+    );
+  });
+
+  it("only embeds the items of a mixed corpus that are not cached", async () => {
+    const cached = await finder.getCached(sentences.slice(0, 3));
+    provider.calls.length = 0;
+    const { array } = await finder.search("red running shoes", [
+      ...cached,
+      ...sentences.slice(3),
+    ]);
+    assert.deepEqual(provider.calls, [
+      ["red running shoes"],
+      sentences.slice(3),
+    ]);
+    assert.deepEqual(array, all);
+  });
+
+  it("adds the embeddings to the results on request", async () => {
+    const { array } = await finder.search("red", sentences, {
+      topK: 1,
+      includeEmbeddings: true,
+    });
+    assert.ok(array[0].embedding instanceof Float32Array);
+    assert.equal(all[0].embedding, undefined);
+  });
+
+  it("rejects invalid options", async () => {
+    await assert.rejects(
+      finder.search("a", sentences, { topK: 0 }),
+      /topK must be a positive integer/,
+    );
+    await assert.rejects(
+      finder.search("a", sentences, { minScore: "high" }),
+      /minScore must be a number/,
+    );
+    await assert.rejects(
+      finder.search("a", sentences, { order: "random" }),
+      /Unsupported order "random"/,
+    );
+  });
+});
@@ -0,0 +1,225 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { createFinder } from "../index.js";
+import { startServer } from "../server.js";
+import { createTestProvider } from "./provider.js";
+
+/**
+ * Sends a request to a server and reads its JSON answer.
+ *
+ * @async
+ * @function
+ * @param {string} url - The URL of the server.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The route.
+ * @param {*} [body] - The body, sent as JSON unless it is a string.
+ * @returns {Promise<{status: number, body: Object}>} The status and the parsed answer.
+ */
+
+async function request(url, method, path, body) {
+  const response = await fetch(url + path, {
+    method,
+    body:
+      body === undefined || typeof body === "string"
+        ? body
+        : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe("startServer", () => {
+  let server;
+  let provider;
+  let call;
+  before(async () => {
+    const finder = createFinder();
+    const base = createTestProvider({ dimension: 8 });
+    provider = {
+      ...base,
+      failing: false,
+      async embed(texts) {
+        if (provider.failing) {
+          throw new Error("The model crashed");
+        }
+        return base.embed(texts);
+      },
+    };
+    await finder.loadModel({ provider });
+    server = await startServer({ port: 0, finder, maxBodySize: 4096 });
+    await server.ready;
+    call = (...args) => request(server.url, ...args);
+  });
+  after(() => server.close());
+
+  it("reports health and readiness", async () => {
+    const health = await call("GET", "/health");
+    assert.equal(health.status, 200);
+    assert.equal(health.body.state, "ready");
+    const ready = await call("GET", "/ready");
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.ready, true);
+  });
+
+  it("embeds texts", async () => {
+    const { status, body } = await call("POST", "/embed", {
+      texts: ["a", "b"],
+      role: "query",
+    });
+    assert.equal(status, 200);
+    assert.equal(body.model, "test/bag-of-words");
+    assert.equal(body.dimension, 8);
+    assert.equal(body.embeddings.length, 2);
+    assert.equal(body.embeddings[0].length, 8);
+
+    assert.equal((await call("POST", "/embed", { texts: "a" })).status, 400);
+    assert.equal(
+      (await call("POST", "/embed", { texts: ["a"], role: "x" })).status,
+      400,
+    );
+  });
+
+  it("compares two sentences", async () => {
+    const { status, body } = await call("POST", "/compare", {
+      sentenceOne: "red shoes",
+      sentenceTwo: "red shoes",
+    });
+    assert.equal(status, 200);
+    assert.ok(Math.abs(body.alike - 1) < 1e-6);
+  });
+
+  it("adds, searches and removes documents", async () => {
+    const added = await call("POST", "/documents", {
+      documents: [
+        { id: "a", sentenceTwo: "red running shoes", metadata: { price: 80 } },
+        { id: "b", sentenceTwo: "red shoes on sale", metadata: { price: 30 } },
+        { id: "c", sentenceTwo: "blue winter coat" },
+      ],
+    });
+    assert.deepEqual(added.body, {
+      added: 3,
+      updated: 0,
+      unchanged: 0,
+      size: 3,
+    });
+
+    const found = await call("POST", "/search", {
+      query: "red shoes",
+      topK: 2,
+    });
+    assert.equal(found.status, 200);
+    assert.deepEqual(found.body.array.map((item) => item.id).sort(), [
+      "a",
+      "b",
+    ]);
+
+    const filtered = await call("POST", "/search", {
+      query: "red shoes",
+      filter: { price: { lt: 50 } },
+    });
+    assert.deepEqual(
+      filtered.body.array.map((item) => item.id),
+      ["b"],
+    );
+
+    const removed = await call("DELETE", "/documents", { ids: ["a", "x"] });
+    assert.deepEqual(removed.body, { removed: 1, size: 2 });
+  });
+
+  it("answers 400 for invalid requests", async () => {
+    const invalid = [
+      ["POST", "/search", "{not json"],
+      ["POST", "/search", [1, 2]],
+      ["POST", "/search", { query: 1 }],
+      ["POST", "/search", { query: "a", topK: 0 }],
+      ["POST", "/search", { query: "a", filter: { price: { below: 3 } } }],
+      ["POST", "/documents", { documents: "a" }],
+      ["POST", "/documents", { documents: [{ sentenceTwo: "no id" }] }],
+      [
+        "POST",
+        "/documents",
+        {
+          documents: [
+            { id: 1, sentenceTwo: "a" },
+            { id: 1, sentenceTwo: "b" },
+          ],
+        },
+      ],
+      [
+        "POST",
+        "/documents",
+        { documents: [{ id: 1, sentenceTwo: "a", embedding: [1, 2] }] },
+      ],
+      ["DELETE", "/documents", { ids: "a" }],
+    ];
+    for (const [method, path, body] of invalid) {
+      const answer = await call(method, path, body);
+      assert.equal(answer.status, 400, JSON.stringify(body));
+      assert.equal(typeof answer.body.error, "string");
+    }
+  });
+
+  it("answers 404, 405 and 413", async () => {
+    assert.equal((await call("GET", "/nope")).status, 404);
+    assert.equal((await call("GET", "/search")).status, 405);
+    const large = await call("POST", "/embed", { texts: ["x".repeat(5000)] });
+    assert.equal(large.status, 413);
+  });
+
+  it("answers 500 when embedding fails", async () => {
+    provider.failing = true;
+    try {
+      const answer = await call("POST", "/documents", {
+        documents: [{ id: "new", sentenceTwo: "a new document" }],
+      });
+      assert.equal(answer.status, 500);
+      assert.equal(answer.body.error, "The model crashed");
+      assert.equal(
+        (await call("POST", "/search", { query: "anything" })).status,
+        500,
+      );
+    } finally {
+      provider.failing = false;
+    }
+  });
+});
+
+describe("startServer without a model", () => {
+  it("answers 503 and reports why loading failed", async () => {
+    const server = await startServer({
+      port: 0,
+      model: { provider: { id: "broken" } },
+    });
+    try {
+      await assert.rejects(server.ready);
+      const ready = await request(server.url, "GET", "/ready");
+      assert.equal(ready.status, 503);
+      assert.equal(ready.body.ready, false);
+      assert.match(ready.body.error, /embed\(texts\)/);
+      const search = await request(server.url, "POST", "/search", {
+        query: "a",
+      });
+      assert.equal(search.status, 503);
+
+      // Invalid documents are rejected before the missing model is noticed
+      for (const documents of [
+        [{ sentenceTwo: "no id" }],
+        [
+          { id: 1, sentenceTwo: "a" },
+          { id: 1, sentenceTwo: "b" },
+        ],
+        [{ id: 1, sentenceTwo: "a", embedding: ["x"] }],
+      ]) {
+        const answer = await request(server.url, "POST", "/documents", {
+          documents,
+        });
+        assert.equal(answer.status, 400, JSON.stringify(documents));
+      }
+      const valid = await request(server.url, "POST", "/documents", {
+        documents: [{ id: 1, sentenceTwo: "a", embedding: [1, 2] }],
+      });
+      assert.equal(valid.status, 503);
+    } finally {
+      await server.close();
+    }
+  });
+});
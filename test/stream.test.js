@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createTestFinder } from "./provider.js";
+
+const corpus = Array.from(
+  { length: 50 },
+  (_, i) =>
+    `${["red", "blue", "green"][i % 3]} ${["shoe", "coat", "hat", "bag"][i % 4]} number ${i}`,
+);
+
+/**
+ * Yields items one at a time, counting how many were read.
+ *
+ * @function
+ * @param {Array<*>} items - The items.
+ * @returns {{source: AsyncGenerator<*>, read: function(): number, closed: function(): boolean}} The source and its counters.
+ */
+
+function trackedSource(items) {
+  let read = 0;
+  let closed = false;
+  async function* generate() {
+    try {
+      for (const item of items) {
+        read++;
+        yield item;
+      }
+    } finally {
+      closed = true;
+    }
+  }
+  return { source: generate(), read: () => read, closed: () => closed };
+}
+
+describe("searchStream", () => {
+  it("finds the same top results as search", async () => {
+    const { finder } = await createTestFinder();
+    const streamed = await finder.searchStream(
+      "red hat",
+      trackedSource(corpus).source,
+      { topK: 5, batchSize: 7 },
+    );
+    const searched = await finder.search("red hat", corpus, { topK: 5 });
+    assert.equal(streamed.sentenceOne, "red hat");
+    assert.deepEqual(
+      streamed.array.map(({ sentenceTwo, alike }) => ({ sentenceTwo, alike })),
+      searched.array,
+    );
+    for (const result of streamed.array) {
+      assert.equal(corpus[result.index], result.sentenceTwo);
+    }
+  });
+
+  it("applies filters and minScore", async () => {
+    const { finder } = await createTestFinder();
+    const items = corpus.map((sentenceTwo, i) => ({
+      sentenceTwo,
+      metadata: { even: i % 2 === 0 },
+    }));
+    const { array } = await finder.searchStream(
+      "blue coat",
+      trackedSource(items).source,
+      { topK: 50, filter: { even: true }, minScore: 0.3 },
+    );
+    assert.ok(array.length > 0);
+    assert.ok(
+      array.every((result) => result.metadata.even && result.alike >= 0.3),
+    );
+  });
+
+  it("rejects options that need the whole corpus", async () => {
+    const { finder } = await createTestFinder();
+    await assert.rejects(
+      finder.searchStream("a", trackedSource(corpus).source, { mmr: true }),
+    );
+  });
+});
+
+describe("scoreStream", () => {
+  it("yields every result in stream order, batch by batch", async () => {
+    const { finder } = await createTestFinder();
+    const batches = [];
+    const results = [];
+    for await (const result of finder.scoreStream(
+      "green bag",
+      trackedSource(corpus).source,
+      { batchSize: 20, onBatch: (progress) => batches.push(progress) },
+    )) {
+      results.push(result);
+    }
+    assert.deepEqual(
+      results.map((result) => result.index),
+      corpus.map((_, i) => i),
+    );
+    assert.deepEqual(batches, [
+      { batch: 1, done: 20 },
+      { batch: 2, done: 40 },
+      { batch: 3, done: 50 },
+    ]);
+  });
+
+  it("stops reading and closes the source when the loop ends", async () => {
+    const { finder, provider } = await createTestFinder();
+    const tracked = trackedSource(corpus);
+    for await (const result of finder.scoreStream("red", tracked.source, {
+      batchSize: 10,
+    })) {
+      if (result.index === 3) {
+        break;
+      }
+    }
+    assert.equal(tracked.read(), 10);
+    assert.ok(tracked.closed());
+    // The query and one batch
+    assert.equal(provider.calls.length, 2);
+  });
+
+  it("throws the reason of an aborted signal", async () => {
+    const { finder } = await createTestFinder();
+    const controller = new AbortController();
+    const stream = finder.scoreStream("red", trackedSource(corpus).source, {
+      batchSize: 5,
+      signal: controller.signal,
+    });
+    await assert.rejects(async () => {
+      for await (const result of stream) {
+        if (result.index === 2) {
+          controller.abort(new Error("stop"));
+        }
+      }
+    }, /stop/);
+  });
+});
@@ -0,0 +1,26 @@
+import { createTestProvider } from "./provider.js";
+
+/**
+ * Creates the provider of the worker tests, a {@link createTestProvider} provider whose `embed` first waits
+ * for the number of milliseconds given by a `wait:<ms>` text, so jobs can be kept running.
+ *
+ * @function
+ * @returns {Object} The provider.
+ */
+
+export default function createSlowProvider() {
+  const provider = createTestProvider({ id: "test/worker" });
+  const { embed } = provider;
+  return {
+    ...provider,
+    async embed(texts) {
+      for (const text of texts) {
+        const match = /^wait:(\d+)$/.exec(text);
+        if (match) {
+          await new Promise((resolve) => setTimeout(resolve, Number(match[1])));
+        }
+      }
+      return embed(texts);
+    },
+  };
+}
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createFinder } from "../index.js";
+import { createTestFinder, createTestProvider } from "./provider.js";
+
+const providerModule = new URL("./worker-provider.js", import.meta.url);
+
+/**
+ * Asynchronously creates a finder running the provider of `worker-provider.js` in a worker.
+ *
+ * @async
+ * @function
+ * @returns {Promise<Object>} The finder.
+ */
+
+async function createWorkerFinder() {
+  const finder = createFinder();
+  await finder.loadModel({ worker: true, providerModule });
+  return finder;
+}
+
+describe("worker", () => {
+  it("embeds like the provider on the main thread", async () => {
+    const finder = await createWorkerFinder();
+    assert.equal(finder.getModelInfo().id, "test/worker");
+    const { finder: local } = await createTestFinder();
+    const texts = ["red running shoes", "a blue coat", "green hose"];
+    const [fromWorker, fromMain] = await Promise.all([
+      finder.getCached(texts),
+      local.getCached(texts),
+    ]);
+    assert.deepEqual(
+      fromWorker.map((item) => Array.from(item.embedding)),
+      fromMain.map((item) => Array.from(item.embedding)),
+    );
+  });
+
+  it("runs jobs one after the other in the order they were queued", async () => {
+    const finder = await createWorkerFinder();
+    const finished = [];
+    await Promise.all([
+      finder.getCached(["wait:150"]).then(() => finished.push("slow")),
+      finder.getCached(["quick"]).then(() => finished.push("quick")),
+    ]);
+    assert.deepEqual(finished, ["slow", "quick"]);
+  });
+
+  it("drops a cancelled job from the queue", async () => {
+    const finder = await createWorkerFinder();
+    const controller = new AbortController();
+    const started = Date.now();
+    const running = finder.getCached(["wait:200"]);
+    const cancelled = finder.getCached(["wait:2000"], {
+      signal: controller.signal,
+    });
+    const next = finder.getCached(["quick"]);
+    controller.abort(new Error("not needed anymore"));
+
+    await assert.rejects(cancelled, /not needed anymore/);
+    await running;
+    await next;
+    // The cancelled job would have kept the worker busy for two seconds
+    assert.ok(Date.now() - started < 1500, `took ${Date.now() - started}ms`);
+  });
+
+  it("rejects a running job as soon as it is cancelled", async () => {
+    const finder = await createWorkerFinder();
+    const controller = new AbortController();
+    const running = finder.getCached(["wait:300"], {
+      signal: controller.signal,
+    });
+    setTimeout(() => controller.abort(new Error("stop")), 50);
+    const started = Date.now();
+    await assert.rejects(running, /stop/);
+    assert.ok(Date.now() - started < 250);
+    // The worker goes on with the next job once the cancelled one ends
+    const [{ sentenceTwo }] = await finder.getCached(["after"]);
+    assert.equal(sentenceTwo, "after");
+  });
+
+  it("rejects the jobs of a worker stopped by loading another model", async () => {
+    const finder = await createWorkerFinder();
+    const running = finder.getCached(["wait:2000"]);
+    const queued = finder.getCached(["quick"]);
+    const started = Date.now();
+    await finder.loadModel({ provider: createTestProvider() });
+    await assert.rejects(running, /The worker was terminated/);
+    await assert.rejects(queued, /The worker was terminated/);
+    assert.ok(Date.now() - started < 1500, `took ${Date.now() - started}ms`);
+  });
+});
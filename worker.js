@@ -0,0 +1,90 @@
+import { createFinder } from "./index.js";
+
+/**
+ * The worker behind `loadModel({ worker: true })`. It loads the model and embeds texts off the main thread,
+ * one job at a time in the order they arrive, and runs both in Node.js (`worker_threads`) and in browsers (Web Worker).
+ *
+ * Messages from the main thread:
+ * - `{ type: "load", options }` loads the model with the given `loadModel()` options.
+ * - `{ type: "embed", id, texts }` queues a job embedding `texts`.
+ * - `{ type: "cancel", id }` drops a queued job, or discards the result of the running one.
+ *
+ * Messages to the main thread:
+ * - `{ type: "progress", data }` for every model loading progress snapshot (see `getProgress()`).
+ * - `{ type: "loaded", info }` once the model is loaded, with the `id`, `dimension`, `pooling` and `normalize` of the model.
+ * - `{ type: "result", id, matrix, dimension }` with the embeddings of a job, one row per text.
+ * - `{ type: "error", id, message }` if loading (without `id`) or a job failed.
+ */
+
+const channel =
+  typeof WorkerGlobalScope !== "undefined"
+    ? {
+        post: (message, transfer) => self.postMessage(message, transfer),
+        onMessage: (listener) =>
+          self.addEventListener("message", (event) => listener(event.data)),
+      }
+    : await import("worker_threads").then(({ parentPort }) => ({
+        post: (message, transfer) => parentPort.postMessage(message, transfer),
+        onMessage: (listener) => parentPort.on("message", listener),
+      }));
+
+const finder = createFinder();
+const queue = [];
+let running = null;
+
+async function runJobs() {
+  while (queue.length > 0 && running === null) {
+    running = queue.shift();
+    try {
+      const cached = await finder.getCached(running.texts);
+      if (!running.cancelled) {
+        // The embeddings of one getCached call are rows of one matrix, which is transferred instead of copied
+        const matrix = cached.length
+          ? new Float32Array(
+              cached[0].embedding.buffer,
+              0,
+              cached.length * cached[0].embedding.length,
+            )
+          : new Float32Array(0);
+        channel.post(
+          {
+            type: "result",
+            id: running.id,
+            matrix,
+            dimension: cached.length ? cached[0].embedding.length : 0,
+          },
+          [matrix.buffer],
+        );
+      }
+    } catch (error) {
+      if (!running.cancelled) {
+        channel.post({ type: "error", id: running.id, message: error.message });
+      }
+    }
+    running = null;
+  }
+}
+
+channel.onMessage(async (message) => {
+  if (message.type === "load") {
+    try {
+      await finder.loadModel({
+        ...message.options,
+        onProgress: (data) => channel.post({ type: "progress", data }),
+      });
+      channel.post({ type: "loaded", info: finder.getModelInfo() });
+    } catch (error) {
+      channel.post({ type: "error", message: error.message });
+    }
+  } else if (message.type === "embed") {
+    queue.push({ id: message.id, texts: message.texts, cancelled: false });
+    runJobs();
+  } else if (message.type === "cancel") {
+    const index = queue.findIndex((job) => job.id === message.id);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    } else if (running !== null && running.id === message.id) {
+      running.cancelled = true;
+    }
+  }
+});